@@ -25,6 +25,7 @@ var DSP = {
   SAW:            3,
   SQUARE:         4,
   NOISE:          5,
+  PULSE:          6,
 
   // Filters
   LOWPASS:        0,
@@ -955,15 +956,17 @@ Sampler.prototype.reset = function() {
  * @param {Number} amplitude  Initial amplitude of the signal
  * @param {Number} bufferSize Size of the sample buffer to generate
  * @param {Number} sampleRate The sample rate of the signal
+ * @param {Number} pulseWidth Fraction of each cycle a pulse wave is high (default 0.5), to the nearest 0.01
  *
  * @contructor
  */
-function Oscillator(type, frequency, amplitude, bufferSize, sampleRate) {
+function Oscillator(type, frequency, amplitude, bufferSize, sampleRate, pulseWidth) {
   this.frequency  = frequency;
   this.amplitude  = amplitude;
   this.bufferSize = bufferSize;
   this.sampleRate = sampleRate;
-  //this.pulseWidth = pulseWidth;
+  this.pulseWidth = typeof pulseWidth === 'undefined' ? 0.5 : pulseWidth;
+  this.phase      = 0;
   this.frameCount = 0;
  
   this.waveTableLength = 2048;
@@ -990,19 +993,28 @@ function Oscillator(type, frequency, amplitude, bufferSize, sampleRate) {
       this.func = Oscillator.Noise;
       break;
 
+    case DSP.PULSE:
+      this.func = Oscillator.Pulse;
+      break;
+
     default:
     case DSP.SINE:
       this.func = Oscillator.Sine;
       break;
   }
 
+  // the shape of a pulse wave depends on its width, so each width has its own table; widths
+  // are rounded to hundredths of a cycle so that the tables shared by all oscillators stay few
+  var tableWidth = Math.round(this.pulseWidth * 100) / 100;
+  this.waveTableKey = this.func === Oscillator.Pulse ? 'pulse' + tableWidth : this.func;
+
   this.generateWaveTable = function() {
-    Oscillator.waveTable[this.func] = new Float32Array(2048);
+    Oscillator.waveTable[this.waveTableKey] = new Float32Array(2048);
     var waveTableTime = this.waveTableLength / this.sampleRate;
     var waveTableHz = 1 / waveTableTime;
 
     for (var i = 0; i < this.waveTableLength; i++) {
-      Oscillator.waveTable[this.func][i] = this.func(i * waveTableHz/this.sampleRate);
+      Oscillator.waveTable[this.waveTableKey][i] = this.func(i * waveTableHz/this.sampleRate, tableWidth);
     }
   };
 
@@ -1010,11 +1022,11 @@ function Oscillator(type, frequency, amplitude, bufferSize, sampleRate) {
     Oscillator.waveTable = {};
   }
 
-  if ( typeof Oscillator.waveTable[this.func] === 'undefined' ) {
+  if ( typeof Oscillator.waveTable[this.waveTableKey] === 'undefined' ) {
     this.generateWaveTable();
   }
  
-  this.waveTable = Oscillator.waveTable[this.func];
+  this.waveTable = Oscillator.waveTable[this.waveTableKey];
 }
 
 /**
@@ -1039,6 +1051,15 @@ Oscillator.prototype.setFreq = function(frequency) {
   this.frequency = frequency;
   this.cyclesPerSample = frequency / this.sampleRate;
 };
+
+/**
+ * Set the phase at which the signal starts
+ *
+ * @param {Number} phase The starting phase as a fraction of a cycle
+ */
+Oscillator.prototype.setPhase = function(phase) {
+  this.phase = phase - Math.floor(phase);
+};
      
 // Add an oscillator
 Oscillator.prototype.add = function(oscillator) {
@@ -1086,13 +1107,14 @@ Oscillator.prototype.valueAt = function(offset) {
 Oscillator.prototype.generate = function() {
   var frameOffset = this.frameCount * this.bufferSize;
   var step = this.waveTableLength * this.frequency / this.sampleRate;
+  var phaseOffset = this.phase * this.waveTableLength;
   var offset;
 
   for ( var i = 0; i < this.bufferSize; i++ ) {
     //var step = (frameOffset + i) * this.cyclesPerSample % 1;
     //this.signal[i] = this.func(step) * this.amplitude;
     //this.signal[i] = this.valueAt(Math.round((frameOffset + i) * step)) * this.amplitude;
-    offset = Math.round((frameOffset + i) * step);
+    offset = Math.round((frameOffset + i) * step + phaseOffset);
     this.signal[i] = this.waveTable[offset % this.waveTableLength] * this.amplitude;
   }
 
@@ -1117,8 +1139,8 @@ Oscillator.Triangle = function(step) {
   return 1 - 4 * Math.abs(Math.round(step) - step);
 };
 
-Oscillator.Pulse = function(step) {
-  // stub
+Oscillator.Pulse = function(step, pulseWidth) {
+  return step < pulseWidth ? 1 : -1;
 };
 
 Oscillator.Noise = function(step) {
@@ -1412,7 +1434,7 @@ function WindowFunction(type, alpha) {
       break;
    
     case DSP.LANCZOS:
-      this.func = WindowFunction.Lanczoz;
+      this.func = WindowFunction.Lanczos;
       break;
      
     case DSP.RECTANGULAR:
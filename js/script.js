@@ -59,6 +59,15 @@
  */
  Math.toDecibels = function (x) { return 20.0 * Math.log10(x); };
 
+/*
+ * Hyperbolic tangent
+ *
+ * @param {Float} x Input value
+ *
+ * @returns {Float} The hyperbolic tangent of x
+ */
+ Math.tanh = Math.tanh || function (x) { return 1.0 - 2.0 / (Math.exp(2.0 * x) + 1.0); };
+
  Math.randInt = function(max, min) {
     if (min === undefined) {
         min = 0;
@@ -85,19 +94,36 @@
  * By doubling the buffer size, we could either store a signal that was twice as long
  * at 44.1 KHz or store the same length signal at 88.2 Khz
  *
+ * This is only the default; the buffer size in use is a setting of TFFT.Analysis.
  */
  TFFT.BUFFER_SIZE = 2048;
 
+/*
+ * The buffer sizes that may be selected.  The FFT requires a power of two.
+ */
+ TFFT.BUFFER_SIZES = [256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+
 /*
  * The sample rate specifies the rate at which "samples" -- discrete measurements of
  * a time domain signal taken at even intervals -- are taken.  The default value of
  * 44.1 KHz specifies that each element in the signal buffer represents the observed
  * value of the original signal at evenly spaced intervals of ~22 μs.
  *
+ * This is only the default; the sample rate in use is a setting of TFFT.Analysis.
  */
  TFFT.SAMPLE_RATE = 44100;
 
 /*
+ * Common sample rates offered for selection, between the telephone-quality 8 KHz
+ * and the 192 KHz used by high resolution studio equipment.
+ */
+ TFFT.SAMPLE_RATES = [8000, 11025, 16000, 22050, 32000, 44100, 48000, 88200, 96000, 176400, 192000];
+ TFFT.MIN_SAMPLE_RATE = 8000;
+ TFFT.MAX_SAMPLE_RATE = 192000;
+
+/*
+ * Returns the bandwidth of a frequency band under the current analysis settings.
+ *
  * The bandwidth represents the size (in Hz) of the discrete frequency "buckets"
  * or more commonly, "bands", in the frequency domain.  An intuitive
  * explanation of frequency bands is that since we are dealing with *discrete* time
@@ -111,394 +137,4769 @@
  * that oscillate a certain amount faster than sample interval.
  *
  * A more detailed mathematical explanation requires a bit more knowledge of the continuous time
- * Fourier transform.  The so-called "Bandpass" theorem is a mathematical derivation of the following.
+ * Fourier transform.  The so-called "Bandpass" theorem is a mathematical derivation of the
+ * following, which TFFT.AnalysisSettings implements.
  */
- TFFT.BANDWIDTH = 2.0 / TFFT.BUFFER_SIZE * TFFT.SAMPLE_RATE / 2.0;
+ TFFT.getBandwidth = function() {
+    return TFFT.Analysis.getBandwidth();
+};
 
 
 /*
  * Returns the band frequency an index represents in the frequency domain buffer.
  */
  TFFT.getBandFrequency = function(index) {
-    return TFFT.BANDWIDTH * index + TFFT.BANDWIDTH / 2.0;
+    return TFFT.Analysis.getBandFrequency(index);
 };
 
 
 /*
-* The */
-TFFT.SignalModel = Backbone.Model.extend({
-    defaults: {
-        waveForm: DSP.SINE,
-        frequency: 400,
-        amplitude: 1.0
-    },
+ * An oscillator whose waveform contains no harmonics above the Nyquist frequency.
+ *
+ * The wave tables of the plain Oscillator hold ideal waveforms with infinitely sharp edges.
+ * Sampling them puts the harmonics above the Nyquist frequency back into the spectrum as
+ * aliases at unrelated frequencies.  Here the table is instead built by additive synthesis
+ * from the Fourier series of the waveform, truncated at the last harmonic below the Nyquist
+ * frequency, so every fundamental frequency range gets its own table.  Tables are read with
+ * linear interpolation to keep the lookup itself from adding spurious tones.
+ *
+ * Takes the same arguments as Oscillator.  A fundamental above the Nyquist frequency has no
+ * harmonics that can be represented, so it produces silence.
+ *
+ * @constructor
+ */
+TFFT.BandLimitedOscillator = function(type, frequency, amplitude, bufferSize, sampleRate, pulseWidth) {
+    Oscillator.call(this, type, frequency, amplitude, bufferSize, sampleRate, pulseWidth);
 
-    getOscillator: function() {
-        return new Oscillator(
-            this.get("waveForm"),
-            this.get("frequency"),
-            this.get("amplitude"),
-            TFFT.BUFFER_SIZE,
-            TFFT.SAMPLE_RATE);
-    },
+    this.type = parseInt(type, 10);
+    if (this.type !== DSP.NOISE) {
+        var harmonics = Math.min(Math.floor(sampleRate / 2.0 / frequency), this.waveTableLength / 2 - 1);
+        this.waveTable = TFFT.BandLimitedOscillator.getWaveTable(this.type, this.pulseWidth, harmonics, this.waveTableLength);
+    }
+};
+
+TFFT.BandLimitedOscillator.prototype = Object.create(Oscillator.prototype);
+TFFT.BandLimitedOscillator.prototype.constructor = TFFT.BandLimitedOscillator;
 
-    save: function() {
-        // NO-OP
+TFFT.BandLimitedOscillator.prototype.generate = function() {
+    var frameOffset = this.frameCount * this.bufferSize;
+    var step = this.waveTableLength * this.frequency / this.sampleRate;
+    var phaseOffset = this.phase * this.waveTableLength;
+    var waveTable = this.waveTable;
+    var length = this.waveTableLength;
+    var position, index, fraction;
+
+    for (var i = 0; i < this.bufferSize; i++) {
+        position = ((frameOffset + i) * step + phaseOffset) % length;
+        index = Math.floor(position);
+        fraction = position - index;
+        this.signal[i] = (waveTable[index] + (waveTable[(index + 1) % length] - waveTable[index]) * fraction) * this.amplitude;
     }
-});
 
-TFFT.Window = new WindowFunction(DSP.HANN);
+    this.frameCount++;
 
-TFFT.SignalCollection = Backbone.Collection.extend({
-    model: TFFT.SignalModel,
+    return this.signal;
+};
 
-    getTotalSignal: function() {
-        var sumOscillator = this.first().getOscillator();
-        sumOscillator.generate();
-        _.each(this.rest(), function (signal) {
-            sumOscillator.addSignal(signal.getOscillator().generate());
-        });
+TFFT.BandLimitedOscillator.waveTables = {};
+TFFT.BandLimitedOscillator.waveTableKeys = [];
 
-        return sumOscillator.signal;
-    },
+/*
+ * The number of wave tables kept before the least recently built is discarded.
+ */
+TFFT.BandLimitedOscillator.MAX_WAVE_TABLES = 64;
 
-    getFFT: function() {
+/*
+ * Returns a band limited wave table, building it if it has not been built recently.
+ *
+ * @param {Integer} type A waveform constant (eg. DSP.SAW)
+ * @param {Float} pulseWidth The pulse width, used by DSP.PULSE only
+ * @param {Integer} harmonics The number of harmonics to include
+ * @param {Integer} length The length of the table
+ *
+ * @returns {Float32Array} One cycle of the waveform
+ */
+TFFT.BandLimitedOscillator.getWaveTable = function(type, pulseWidth, harmonics, length) {
+    var key = [type, type === DSP.PULSE ? pulseWidth : '', harmonics, length].join(':');
+    var waveTables = TFFT.BandLimitedOscillator.waveTables;
+    var keys = TFFT.BandLimitedOscillator.waveTableKeys;
 
-        var fft = new FFT(TFFT.BUFFER_SIZE, TFFT.SAMPLE_RATE);
-        fft.forward(this.getTotalSignal());
-        return fft;
+    if (!waveTables[key]) {
+        waveTables[key] = TFFT.BandLimitedOscillator.buildWaveTable(type, pulseWidth, harmonics, length);
+        keys.push(key);
+        if (keys.length > TFFT.BandLimitedOscillator.MAX_WAVE_TABLES) {
+            delete waveTables[keys.shift()];
+        }
     }
-});
+    return waveTables[key];
+};
 
+/*
+ * Returns the gains of one harmonic in the Fourier series of a waveform.  The series match
+ * the phase and polarity of the naive waveforms of Oscillator:
+ *
+ *   Saw:      2/π Σ (-1)^(k+1) sin(2πkt) / k
+ *   Square:   4/π Σ (odd k) sin(2πkt) / k
+ *   Triangle: 8/π² Σ (odd k) cos(2πkt) / k²
+ *   Pulse:    (2w - 1) + 4/π Σ sin(πkw) cos(2πk(t - w/2)) / k, for pulse width w
+ *
+ * Any other waveform is taken to be a sine.  The constant term of the pulse is left out.
+ *
+ * @param {Integer} type A waveform constant (eg. DSP.SAW)
+ * @param {Float} pulseWidth The pulse width, used by DSP.PULSE only
+ * @param {Integer} k The number of the harmonic, 1 for the fundamental
+ *
+ * @returns {Object} The gains of sin(2πkt) and cos(2πkt) as `sine` and `cosine`
+ */
+TFFT.getFourierCoefficients = function(type, pulseWidth, k) {
+    switch (type) {
+        case DSP.SAW:
+            return { sine: (k % 2 ? 2 : -2) / (Math.PI * k), cosine: 0 };
+        case DSP.SQUARE:
+            return { sine: k % 2 ? 4 / (Math.PI * k) : 0, cosine: 0 };
+        case DSP.TRIANGLE:
+            return { sine: 0, cosine: k % 2 ? 8 / (Math.PI * Math.PI * k * k) : 0 };
+        case DSP.PULSE:
+            // cos(a - b) = cos(a)cos(b) + sin(a)sin(b), with b = πkw
+            var gain = 4 / (Math.PI * k) * Math.sin(Math.PI * k * pulseWidth);
+            return { sine: gain * Math.sin(Math.PI * k * pulseWidth), cosine: gain * Math.cos(Math.PI * k * pulseWidth) };
+        default:
+            return { sine: k === 1 ? 1 : 0, cosine: 0 };
+    }
+};
 
-TFFT.Signals = new TFFT.SignalCollection;
+/*
+ * Sums the first harmonics of the Fourier series of a waveform.
+ */
+TFFT.BandLimitedOscillator.buildWaveTable = function(type, pulseWidth, harmonics, length) {
+    var table = new Float32Array(length);
+    var sines = new Float32Array(length);
+    var i, k, index, coefficients;
 
+    for (i = 0; i < length; i++) {
+        sines[i] = Math.sin(DSP.TWO_PI * i / length);
+    }
 
-TFFT.SignalTransformGraph = Backbone.View.extend({
-    className: 'graph',
+    // sin(2πki/N) and cos(2πki/N) are both read from the table of sines
+    var addHarmonic = function(k, sineGain, cosineGain) {
+        for (var i = 0; i < length; i++) {
+            index = (k * i) % length;
+            table[i] += sineGain * sines[index] + cosineGain * sines[(index + length / 4) % length];
+        }
+    };
 
-    initialize: function(options) {
-        this.width = options.width || 640;
-        this.height = options.height || 480;
-        this.margin = 40;
-
-        this.chart = d3.select(this.el)
-        .append("svg")
-        .attr("class", "chart")
-        .attr("width", this.width)
-        .attr("height", this.height);
-
-        var gradient = this.chart.append("svg:defs")
-        .append("svg:linearGradient")
-        .attr("id", "signalGradient")
-        .attr("x1", "0%")
-        .attr("y1", "0%")
-        .attr("x2", "0%")
-        .attr("y2", "100%")
-        .attr("spreadMethod", "pad");
-
-        gradient.append("svg:stop")
-            .attr("offset", "0%")
-            .attr("stop-color", "#DA70D6")
-            .attr("stop-opacity", 1);
-
-        gradient.append("svg:stop")
-            .attr("offset", "50%")
-            .attr("stop-color", "#9932CC")
-            .attr("stop-opacity", 1);
-
-        gradient.append("svg:stop")
-            .attr("offset", "100%")
-            .attr("stop-color", "#2E0854")
-            .attr("stop-opacity", 1);
+    if (type === DSP.PULSE) {
+        for (i = 0; i < length; i++) {
+            table[i] = 2 * pulseWidth - 1;
+        }
+    }
 
-        var x = d3.scale.linear()
-        .domain([0, TFFT.BUFFER_SIZE / 2.0])
-        .rangeRound([this.margin / 2.0, this.width - (this.margin / 2.0)]);
+    for (k = 1; k <= harmonics; k++) {
+        coefficients = TFFT.getFourierCoefficients(type, pulseWidth, k);
+        if (coefficients.sine || coefficients.cosine) {
+            addHarmonic(k, coefficients.sine, coefficients.cosine);
+        }
+    }
 
-        var that = this;
+    return table;
+};
 
-        this.chart.selectAll(".xLabel")
-        .data(x.ticks(16))
-        .enter()
-        .append("svg:text")
-        .attr("class", "xLabel")
-        .text(function (d) { n = Math.round(TFFT.getBandFrequency(d)); return n - n % 5; })
-        .attr("x", function(d) { return x(d); })
-        .attr("y", this.height - this.margin / 2)
-        .attr("style", "fill:green")
-        .attr("text-anchor", "middle")
-        .attr("transform", function(d) { return "rotate(45," + x(d) + "," + that.height + ")"; });
+/*
+ * Keeps models in the browser's local storage in place of a server.  A store holds the
+ * attributes of its models, in the order they were first saved, as JSON under one key.
+ *
+ * TFFT.LocalStore.sync is used as the sync of the models and collections kept; a model is
+ * kept in its own `localStore` or else that of its collection, and models with neither are
+ * not kept at all.  Where local storage cannot be used, as in some private browsing modes,
+ * nothing is kept either.
+ *
+ * @constructor
+ * @param {String} name The key to keep the models under
+ */
+TFFT.LocalStore = function(name) {
+    this.name = name;
+};
 
-        var y = d3.scale.linear()
-        .domain([0, 1.0])
-        .range([this.margin, this.height - this.margin]);
-
-        var zeroes = _.map(_.range(0, TFFT.BUFFER_SIZE / 2.0), Math.zeroFunction);
-        
-        this.chart.selectAll("rect")
-        .data(zeroes)
-        .enter()
-        .append("rect")
-        .attr("x", function(d, i) { return x(i); })
-        .attr("y", function(d) { return that.height - y(d) - 0.5; })
-        .attr("width", function(d) { return 2.0; })
-        .attr("height", function(d) { return y(d) - that.margin; });
+_.extend(TFFT.LocalStore.prototype, {
+    /*
+     * @returns {Array} The attributes of every model kept
+     */
+    findAll: function() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.name)) || [];
+        } catch (error) {
+            return [];
+        }
+    },
 
-        this.collection.on("all", this.render, this);
+    /*
+     * @returns {Object} The attributes kept for a model, if any
+     */
+    find: function(model) {
+        return _.find(this.findAll(), function(record) { return record.id === model.id; });
     },
 
-    render: function() {
-        var fft = this.collection.getFFT();
-        var spectrum = _.map(fft.spectrum, Math.toDecibels);
-        var spectrumMax = d3.max(spectrum);
-        spectrum = _.map(spectrum, function(s) { return s - spectrumMax; }); // normalize to 0 db
-        var spectrumMin = d3.min(spectrum);
-        
-        var y = d3.scale.linear()
-            .domain([spectrumMin, 0.0])
-            .range([this.margin, this.height - this.margin]);
+    /*
+     * Keeps the attributes of a model, in place of those kept before.
+     */
+    save: function(model) {
+        var records = this.findAll();
+        var attributes = model.toJSON();
+        var index = _.indexOf(_.pluck(records, 'id'), model.id);
+        if (index >= 0) {
+            records[index] = attributes;
+        } else {
+            records.push(attributes);
+        }
+        // a model added part way through its collection is kept in the same place
+        this.write(model.collection ? this.sort(records, model.collection.models) : records);
+        return attributes;
+    },
 
-        var yAxis = d3.svg.axis()
-            .scale(y)
-            .orient("left")
+    destroy: function(model) {
+        this.write(_.reject(this.findAll(), function(record) { return record.id === model.id; }));
+        return model.toJSON();
+    },
 
-        this.chart.append("g")
-            .attr("class", "y axis")
-            .call(yAxis);
+    /*
+     * Keeps the models in the order they are given, as after they have been rearranged.
+     *
+     * @param {Array} models The models kept, in their new order
+     */
+    arrange: function(models) {
+        this.write(this.sort(this.findAll(), models));
+    },
 
-        var that = this;
-        this.chart.selectAll("rect")
-        .data(spectrum)
-        .transition()
-        .attr("style", function(d) { return "fill:url(#signalGradient);"; })
-        .attr("y", function(d) { return that.height - y(d) - 0.5; })
-        .attr("height", function(d) { return y(d) - that.margin; });
+    sort: function(records, models) {
+        var ids = _.pluck(models, 'id');
+        return _.sortBy(records, function(record) {
+            var index = _.indexOf(ids, record.id);
+            return index < 0 ? ids.length : index;
+        });
+    },
 
-        return this;
+    write: function(records) {
+        try {
+            window.localStorage.setItem(this.name, JSON.stringify(records));
+        } catch (error) {
+            // storage is unavailable or full, so the models are not kept
+        }
     }
 });
 
-TFFT.SignalTransformGraphView = Backbone.View.extend({
-    className: 'graph',
+/*
+ * A Backbone sync that reads from and writes to local stores.
+ */
+TFFT.LocalStore.sync = function(method, model, options) {
+    var store = model.localStore || (model.collection && model.collection.localStore);
+    var response;
+    if (!store) {
+        return;
+    }
 
-    initialize: function(options) {
-        this.width = options.width || 640;
-        this.height = options.height || 480;
-        this.margin = {top: 10, right: 10, bottom: 20, left: 40} || options.margin;
-        this.width = this.width - this.margin.left - this.margin.right,
-        this.height = this.height - this.margin.top - this.margin.bottom;
+    switch (method) {
+        case 'read':
+            response = model.models ? store.findAll() : store.find(model);
+            break;
+        case 'create':
+        case 'update':
+            // the model already has the attributes kept, and setting them again while it is
+            // saved from a change handler would have it announce the change forever
+            store.save(model);
+            response = {};
+            break;
+        case 'delete':
+            response = store.destroy(model);
+            break;
+    }
 
-        this.chart = d3.select(this.el)
-            .append("svg")
-            .attr("class", "chart")
-            .attr("width", this.width + this.margin.left + this.margin.right)
-            .attr("height", this.height + this.margin.top + this.margin.bottom)
-            .append("g")
-            .attr("transform", "translate(" + this.margin.left + "," + this.margin.top + ")");
+    if (response) {
+        options.success(response);
+    } else {
+        options.error("Nothing kept in " + store.name);
+    }
+};
 
-        // define gradient for signal bars
-        var gradient = this.chart.append("svg:defs")
-            .append("svg:linearGradient")
-            .attr("id", "signalGradient")
-            .attr("x1", "0%")
-            .attr("y1", "0%")
-            .attr("x2", "0%")
-            .attr("y2", "100%")
-            .attr("spreadMethod", "pad");
-        gradient.append("svg:stop")
-            .attr("offset", "0%")
-            .attr("stop-color", "#DA70D6")
-            .attr("stop-opacity", 1);
-        gradient.append("svg:stop")
-            .attr("offset", "50%")
-            .attr("stop-color", "#9932CC")
-            .attr("stop-opacity", 1);
-        gradient.append("svg:stop")
-            .attr("offset", "100%")
-            .attr("stop-color", "#2E0854")
-            .attr("stop-opacity", 1);
-
-        // frequency axis
-        var frequency = d3.scale.linear()
-            .domain([0, TFFT.BUFFER_SIZE / 2.0])
-            .range([0, TFFT.getBandFrequency(TFFT.BUFFER_SIZE / 2.0)])
+/*
+* The */
+TFFT.SignalModel = Backbone.Model.extend({
+    defaults: {
+        waveForm: DSP.SINE,
+        frequency: 400,
+        amplitude: 1.0,
+        dutyCycle: 0.5,
+        bandLimited: false,
+        phase: 0.0,
+        dcOffset: 0.0,
+        muted: false,
+        solo: false,
+        harmonics: 0,
+        source: null
+    },
 
-        var x = d3.scale.linear()
-            .domain([0, frequency(TFFT.BUFFER_SIZE / 2.0)])
-            .rangeRound([0, this.width]);
+    /*
+     * Only the attributes a signal has are checked, as samples and live input have no
+     * frequency or waveform.
+     */
+    validate: function(attributes) {
+        var invalid = _.find(['frequency', 'amplitude', 'phase', 'dcOffset', 'dutyCycle'], function(attribute) {
+            return _.has(attributes, attribute) && !(_.isNumber(attributes[attribute]) && isFinite(attributes[attribute]));
+        });
+        if (invalid) {
+            return "Not a number: " + invalid;
+        }
+        if (attributes.frequency < 0) {
+            return "Frequency must not be negative";
+        }
+        if (attributes.dutyCycle < 0 || attributes.dutyCycle > 1) {
+            return "Duty cycle must be between 0 and 1";
+        }
+        if (_.has(attributes, 'waveForm') && !_.include(_.values(TFFT.WAVEFORMS), attributes.waveForm)) {
+            return "Unknown waveform: " + attributes.waveForm;
+        }
+        if (_.has(attributes, 'harmonics') && !(attributes.harmonics >= 0 &&
+                attributes.harmonics <= TFFT.MAX_HARMONICS && attributes.harmonics % 1 === 0)) {
+            return "Harmonics must be a whole number between 0 and " + TFFT.MAX_HARMONICS;
+        }
+    },
 
-        var xAxis = d3.svg.axis()
-            .scale(x)
-            .orient("bottom")
+    /*
+     * @param {TFFT.AnalysisSettings} settings Settings to use instead of the collection's
+     *
+     * @returns {TFFT.AnalysisSettings} The analysis settings that apply to this signal
+     */
+    getSettings: function(settings) {
+        return settings || (this.collection && this.collection.settings) || TFFT.Analysis;
+    },
 
-        this.chart.append("g")
-            .attr("class", "x axis")
-            .attr("transform", "translate(0," + this.height + ")")
-            .call(xAxis);
+    /*
+     * @returns {Oscillator} An oscillator for this signal, band limited if the signal is
+     */
+    getOscillator: function(settings) {
+        settings = this.getSettings(settings);
+        var OscillatorType = this.get("bandLimited") ? TFFT.BandLimitedOscillator : Oscillator;
+        var oscillator = new OscillatorType(
+            this.get("waveForm"),
+            this.get("frequency"),
+            this.get("amplitude"),
+            settings.get("bufferSize"),
+            settings.get("sampleRate"),
+            this.get("dutyCycle"));
+        oscillator.setPhase(this.get("phase") / 360.0);
+        return oscillator;
+    },
 
-        // initialize rects 0 height to enable transform animation on first render
-        var that = this;
-        var zeroes = _.map(_.range(0, TFFT.BUFFER_SIZE / 2.0), Math.zeroFunction);        
-        this.chart.selectAll("rect")
-            .data(zeroes)
-            .enter()
-            .append("rect")
-            .attr("x", function(d, i) { return x(frequency(i)); })
-            .attr("y", function(d) { return that.height; })
-            .attr("width", function(d) { return 1.0; })
-            .attr("height", function(d) { return d; });
+    /*
+     * Generates the next buffer from an oscillator of this signal and adds the DC offset.
+     *
+     * @param {Oscillator} oscillator An oscillator returned by getOscillator
+     *
+     * @returns {Float32Array} The buffer, which the oscillator reuses for its next buffer
+     */
+    generate: function(oscillator) {
+        var signal = oscillator.generate();
+        var dcOffset = this.get("dcOffset");
+        if (dcOffset) {
+            for (var i = 0; i < signal.length; i++) {
+                signal[i] += dcOffset;
+            }
+        }
+        return signal;
+    },
 
-        this.collection.on("all", this.render, this);
+    /*
+     * @returns {Float32Array} One buffer of this signal on its own
+     */
+    getSignal: function(settings) {
+        return this.generate(this.getOscillator(settings));
     },
 
-    render: function() {
-        this.chart.select("g.y").remove();
+    /*
+     * @returns {FFT} The transform of this signal on its own
+     */
+    getFFT: function(settings) {
+        settings = this.getSettings(settings);
+        return settings.transform(this.getSignal(settings));
+    },
 
-        var fft = this.collection.getFFT();
-        var spectrum = _.map(fft.spectrum, Math.toDecibels);
-        var spectrumMax = d3.max(spectrum);
-        spectrum = _.map(spectrum, function(s) { return s - spectrumMax; }); // normalize to 0 db
-        var spectrumMin = d3.min(spectrum);
-        
-        var y = d3.scale.linear()
-            .domain([spectrumMin, 0.0])
-            .range([this.height, 0]);
+    /*
+     * Creates a stream of consecutive buffers of this signal, for analysing how the signal
+     * evolves over time.  The stream does not follow later changes to the signal.
+     *
+     * @param {TFFT.AnalysisSettings} settings Settings to use instead of the collection's
+     * @param {Integer} frameCount The number of buffers into the signal at which to start
+     *        (default 0), so that a new stream can take over seamlessly from an old one
+     *
+     * @returns {Function} A function returning the next buffer each time it is called
+     */
+    createStream: function(settings, frameCount) {
+        var that = this;
+        var oscillator = this.getOscillator(settings);
+        oscillator.frameCount = frameCount || 0;
+        return function() {
+            return that.generate(oscillator);
+        };
+    },
 
-        var yAxis = d3.svg.axis()
-            .scale(y)
-            .orient("left")
+    /*
+     * @returns {Boolean} True if the signal is captured live rather than generated
+     */
+    isLive: function() {
+        return false;
+    },
 
-        this.chart.append("g")
-            .attr("class", "y axis")
-            .call(yAxis);
+    /*
+     * @returns {Boolean} True if the waveform of the signal can be decomposed into sines
+     */
+    isDecomposable: function() {
+        return _.include([DSP.SQUARE, DSP.SAW, DSP.TRIANGLE], this.get('waveForm'));
+    },
 
-        var that = this;
-        this.chart.selectAll("rect")
-            .data(spectrum)
-            .transition()
-            .attr("style", function(d) { return "fill:url(#signalGradient);"; })
-            .attr("y", function(d) { return y(d) - 0.5; })
-            .attr("height", function(d) { return that.height - y(d); });
+    /*
+     * Computes the first terms of the Fourier series of this signal, each a sine at a
+     * harmonic of its frequency.  Adding them up approaches the signal, but overshoots at
+     * every jump in it by about 9% however many are added (the Gibbs phenomenon).  Terms
+     * stop below the Nyquist frequency, as any above it would alias.
+     *
+     * @param {Integer} count The number of terms
+     * @param {TFFT.AnalysisSettings} settings Settings to use instead of the collection's
+     *
+     * @returns {Array} The attributes of the sine of each term, lowest first; fewer than
+     *          count if the rest would not fall below the Nyquist frequency
+     */
+    getFourierSeries: function(count, settings) {
+        var nyquist = this.getSettings(settings).getNyquistFrequency();
+        var series = [];
+        var coefficients, phase;
 
-       return this; 
-    }
+        // no waveform that can be decomposed skips more than every other harmonic
+        for (var k = 1; series.length < count && k <= 2 * count && k * this.get('frequency') < nyquist; k++) {
+            coefficients = TFFT.getFourierCoefficients(this.get('waveForm'), this.get('dutyCycle'), k);
+            if (!coefficients.sine && !coefficients.cosine) {
+                continue;
+            }
 
+            // a sin(x) + b cos(x) = r sin(x + atan2(b, a)), and a phase of the fundamental
+            // is k times as much at the kth harmonic
+            phase = k * this.get('phase') + Math.atan2(coefficients.cosine, coefficients.sine) * 180.0 / Math.PI;
+            series.push({
+                waveForm: DSP.SINE,
+                frequency: k * this.get('frequency'),
+                amplitude: this.get('amplitude') * Math.sqrt(
+                    coefficients.sine * coefficients.sine + coefficients.cosine * coefficients.cosine),
+                phase: ((phase + 180) % 360 + 360) % 360 - 180,
+                dcOffset: series.length ? 0.0 : this.get('dcOffset'),
+                bandLimited: false,
+                muted: this.get('muted'),
+                solo: this.get('solo')
+            });
+        }
+        return series;
+    },
+
+    /*
+     * @param {TFFT.AnalysisSettings} settings Settings to use instead of the collection's
+     *
+     * @returns {Integer} The most terms of the Fourier series of this signal that fall
+     *          below the Nyquist frequency, up to TFFT.MAX_HARMONICS
+     */
+    getMaxHarmonics: function(settings) {
+        return this.getFourierSeries(TFFT.MAX_HARMONICS, settings).length;
+    },
 
+    sync: TFFT.LocalStore.sync
 });
 
-TFFT.SignalGraphView = Backbone.View.extend({
+/*
+ * Returns the shared Web Audio context, creating it on first use.  Browsers limit the
+ * number of contexts a page may open, so every part of the application shares this one.
+ *
+ * @returns {AudioContext} The audio context, or null if the browser has no Web Audio support
+ */
+TFFT.getAudioContext = function() {
+    if (TFFT.audioContext === undefined) {
+        var AudioContext = window.AudioContext || window.webkitAudioContext;
+        TFFT.audioContext = AudioContext ? new AudioContext() : null;
+    }
+    return TFFT.audioContext;
+};
 
-    className: 'graph',
+/*
+ * A signal read from a recorded audio clip rather than generated by an oscillator.
+ *
+ * The decoded clip is mixed down to mono and kept on the model (not in its attributes);
+ * each analysis buffer is read from it starting at `offset` seconds into the clip,
+ * resampled to the analysis sample rate and scaled by `amplitude`.
+ */
+TFFT.SampleSignalModel = TFFT.SignalModel.extend({
+    defaults: {
+        name: '',
+        offset: 0.0,
+        duration: 0.0,
+        amplitude: 1.0
+    },
 
-    initialize: function(options) {
-        this.width = options.width || 640;
-        this.height = options.height || 480;
-        this.margin = {top: 10, right: 10, bottom: 20, left: 50} || options.margin;
-        this.width = this.width - this.margin.left - this.margin.right,
-        this.height = this.height - this.margin.top - this.margin.bottom;
-
-        this.chart = d3.select(this.el)
-        .append("svg")
-        .attr("class", "chart")
-        .attr("width", this.width + this.margin.left + this.margin.right)
-        .attr("height", this.height + this.margin.top + this.margin.bottom)
-        .append("g")
-            .attr("transform", "translate(" + this.margin.left + "," + this.margin.top + ")");
+    initialize: function() {
+        this.samples = new Float32Array(0);
+        this.sampleRate = TFFT.SAMPLE_RATE;
+    },
 
-        this.time = d3.scale.linear()
-            .domain([0, TFFT.BUFFER_SIZE])
-            .range([0, TFFT.BUFFER_SIZE / TFFT.SAMPLE_RATE ]);
+    /*
+     * A clip is too large for local storage, so it is not kept.
+     */
+    sync: function() {},
 
-        this.x = d3.scale.linear()
-            .domain([0, this.time(TFFT.BUFFER_SIZE)])
-            .rangeRound([0, this.width]);
+    /*
+     * Reads and decodes an audio file.  Triggers "load" once the clip is available, or
+     * "error" with a message if it could not be decoded.
+     *
+     * @param {File} file An audio file picked or dropped by the user
+     */
+    load: function(file) {
+        var that = this;
+        var reader = new FileReader();
+        reader.onload = function() {
+            that.loadArrayBuffer(reader.result, file.name);
+        };
+        reader.onerror = function() {
+            that.trigger('error', that, "Could not read " + file.name);
+        };
+        reader.readAsArrayBuffer(file);
+    },
 
-        var xAxis = d3.svg.axis()
-            .scale(this.x)
-            .orient("bottom");
+    /*
+     * Decodes the contents of an audio file.  WAVE files are decoded by TFFT.WAV, so they
+     * need no browser codec support; anything else is handed to the Web Audio API.
+     *
+     * @param {ArrayBuffer} arrayBuffer The file contents
+     * @param {String} name A name to show for the clip
+     */
+    loadArrayBuffer: function(arrayBuffer, name) {
+        if (TFFT.WAV.isWAV(arrayBuffer)) {
+            try {
+                this.setAudioBuffer(TFFT.WAV.decode(arrayBuffer), name);
+            } catch (error) {
+                this.trigger('error', this, "Could not decode " + name + ": " + error.message);
+            }
+            return;
+        }
 
-        this.chart.append("g")
-            .attr("class", "x axis")
-            .attr("transform", "translate(0," + this.height / 2.0 + ")")
-            .call(xAxis);
+        var context = TFFT.getAudioContext();
+        if (!context) {
+            this.trigger('error', this, "This browser cannot decode " + name);
+            return;
+        }
 
-        this.collection.on("all", this.render, this);
+        var that = this;
+        context.decodeAudioData(arrayBuffer, function(audioBuffer) {
+            that.setAudioBuffer(audioBuffer, name);
+        }, function() {
+            that.trigger('error', that, "Could not decode " + name);
+        });
     },
 
-    render: function() {
-        // remove y axis and previous plot, if any
-        this.chart.select("g.y").remove();
-        this.chart.select("path.line").remove();
-
-        var signal = this.collection.getTotalSignal();
-        this.chart.datum(signal);
+    /*
+     * Uses a decoded clip as the source of this signal.
+     *
+     * @param {AudioBuffer} audioBuffer The decoded clip
+     * @param {String} name A name to show for the clip
+     */
+    setAudioBuffer: function(audioBuffer, name) {
+        var channels = _.map(_.range(audioBuffer.numberOfChannels), function(channel) {
+            return audioBuffer.getChannelData(channel);
+        });
+        this.setSamples(TFFT.SampleSignalModel.mixDown(channels), audioBuffer.sampleRate, name);
+    },
 
-        var y = d3.scale.linear()
-            .domain(d3.extent(signal))
-            .range([this.height, 0]);
+    /*
+     * @param {Float32Array} samples Mono samples of the clip
+     * @param {Integer} sampleRate The sample rate of the clip
+     * @param {String} name A name to show for the clip
+     */
+    setSamples: function(samples, sampleRate, name) {
+        this.samples = samples;
+        this.sampleRate = sampleRate;
+        this.set({
+            name: name || this.get('name'),
+            offset: 0.0,
+            duration: samples.length / sampleRate
+        });
+        this.trigger('load', this);
+    },
 
-        var yAxis = d3.svg.axis()
-            .scale(y)
-            .orient("left")
-            .tickFormat(d3.format('.02f'));
+    /*
+     * Reads one buffer of the clip, linearly interpolating between the clip's samples
+     * where its sample rate differs from the analysis sample rate.  Beyond the end of
+     * the clip the buffer is silent.
+     *
+     * @returns {Float32Array} One buffer of this signal on its own
+     */
+    getSignal: function(settings) {
+        return this.read(this.get('offset'), this.getSettings(settings));
+    },
 
+    /*
+     * Streams consecutive buffers starting at `offset`, returning to `offset` once the
+     * end of the clip is reached.
+     */
+    createStream: function(settings, frameCount) {
+        settings = this.getSettings(settings);
         var that = this;
-        var line = d3.svg.line()
-            .x(function(d, i) { return that.x(that.time(i)); })
-            .y(function(d) { return y(d); });
+        var offset = this.get('offset');
+        var time = offset;
+        if (frameCount && this.get('duration') > offset) {
+            time += (frameCount * settings.getDuration()) % (this.get('duration') - offset);
+        }
+        return function() {
+            var signal = that.read(time, settings);
+            time += settings.getDuration();
+            if (time >= that.get('duration')) {
+                time = that.get('offset');
+            }
+            return signal;
+        };
+    },
 
-        this.chart.append("g")
-            .attr("class", "y axis")
-            .call(yAxis);
+    /*
+     * @param {Float} time Time (in seconds) into the clip at which to start reading
+     * @param {TFFT.AnalysisSettings} settings The analysis settings to read with
+     *
+     * @returns {Float32Array} One buffer of the clip
+     */
+    read: function(time, settings) {
+        var signal = new Float32Array(settings.get('bufferSize'));
+        var samples = this.samples;
+        var amplitude = this.get('amplitude');
+        var step = this.sampleRate / settings.get('sampleRate');
+        var position = time * this.sampleRate;
+        var index, fraction, next;
 
-        this.chart.append("path")
-            .attr("class", "line")
-            .attr("d", line);
+        for (var i = 0; i < signal.length; i++, position += step) {
+            index = Math.floor(position);
+            if (index >= samples.length) {
+                break;
+            }
+            fraction = position - index;
+            next = index + 1 < samples.length ? samples[index + 1] : 0.0;
+            signal[i] = amplitude * (samples[index] * (1.0 - fraction) + next * fraction);
+        }
 
-        return this;
+        return signal;
     }
-
 });
 
-TFFT.WAVEFORMS = {
-    'Sine': DSP.SINE,
-    'Triangle': DSP.TRIANGLE,
-    'Saw': DSP.SAW,
-    'Square': DSP.SQUARE,
-    'Noise': DSP.NOISE
+/*
+ * Averages any number of channels into a single channel.
+ *
+ * @param {Array} channels Float32Arrays of equal length, one per channel
+ *
+ * @returns {Float32Array} The mono mix of all channels
+ */
+TFFT.SampleSignalModel.mixDown = function(channels) {
+    if (channels.length === 1) {
+        return new Float32Array(channels[0]);
+    }
+
+    var length = channels.length ? channels[0].length : 0;
+    var mix = new Float32Array(length);
+    _.each(channels, function(channel) {
+        for (var i = 0; i < length; i++) {
+            mix[i] += channel[i] / channels.length;
+        }
+    });
+    return mix;
 };
 
-TFFT.SignalView = Backbone.View.extend({
-    tagName: 'div',
+/*
+ * A signal captured live from the microphone (or any other MediaStream).
+ *
+ * Captured audio is kept in a rolling history, long enough for the largest analysis buffer
+ * at the lowest sample rate.  Each analysis buffer is the most recent stretch of the history,
+ * resampled to the analysis sample rate and scaled by `amplitude`, so the microphone mixes
+ * with the other signals of the collection like any of them.
+ *
+ * While capturing, the model triggers "capture" once per animation frame in which new audio
+ * arrived, so views that follow the collection redraw in real time.  Setting `frozen` holds
+ * the history, and with it every view, until it is cleared again.
+ */
+TFFT.MicrophoneSignalModel = TFFT.SignalModel.extend({
+    defaults: {
+        name: 'Microphone',
+        amplitude: 1.0,
+        active: false,
+        frozen: false
+    },
 
-    className: 'signal-control ui-widget',
+    initialize: function() {
+        this.sampleRate = TFFT.SAMPLE_RATE;
+        this.history = new Float32Array(0);
+        this.captured = 0;
+        this.tick = _.bind(this.tick, this);
+        this.on('remove', this.stop, this);
+    },
 
-    events: {
-        'change input': 'updateSignal'
+    isLive: function() {
+        return true;
     },
 
-    template: _.template($('#signal_view_template').html()),
+    /*
+     * Live input cannot be kept.
+     */
+    sync: function() {},
 
-    initialize: function(options) {
-        if (!options.model) {
-            this.model = new TFFT.SignalModel();
+    /*
+     * Asks the user for access to the microphone and starts capturing from it.  Triggers
+     * "error" with a message if access is refused or the browser has no microphone support.
+     */
+    start: function() {
+        var that = this;
+        var constraints = { audio: true };
+        var success = function(stream) { that.setStream(stream); };
+        var failure = function() { that.trigger('error', that, "Could not open the microphone"); };
+        var getUserMedia = navigator.getUserMedia || navigator.webkitGetUserMedia || navigator.mozGetUserMedia;
+
+        if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+            navigator.mediaDevices.getUserMedia(constraints).then(success, failure);
+        } else if (getUserMedia) {
+            getUserMedia.call(navigator, constraints, success, failure);
+        } else {
+            this.trigger('error', this, "This browser cannot capture audio");
         }
+    },
 
-        this.model.on('change', this.render, this);
+    /*
+     * Starts capturing from a media stream.
+     *
+     * @param {MediaStream} stream A stream with at least one audio track
+     */
+    setStream: function(stream) {
+        var context = TFFT.getAudioContext();
+        if (!context) {
+            this.trigger('error', this, "This browser cannot capture audio");
+            return;
+        }
+
+        this.stop();
+        this.stream = stream;
+        this.sampleRate = context.sampleRate;
+        this.history = new Float32Array(Math.ceil(
+            _.last(TFFT.BUFFER_SIZES) / TFFT.MIN_SAMPLE_RATE * this.sampleRate));
+        this.captured = 0;
+
+        this.source = context.createMediaStreamSource(stream);
+        this.processor = context.createScriptProcessor ?
+            context.createScriptProcessor(TFFT.MicrophoneSignalModel.BUFFER_SIZE, 1, 1) :
+            context.createJavaScriptNode(TFFT.MicrophoneSignalModel.BUFFER_SIZE, 1, 1);
+        this.processor.onaudioprocess = _.bind(function(event) {
+            this.capture(event.inputBuffer.getChannelData(0));
+            // the processor only runs while connected to the destination, so it must stay silent
+            var output = event.outputBuffer.getChannelData(0);
+            for (var i = 0; i < output.length; i++) {
+                output[i] = 0.0;
+            }
+        }, this);
+        this.source.connect(this.processor);
+        this.processor.connect(context.destination);
+
+        this.set('active', true);
+        TFFT.requestAnimationFrame(this.tick);
     },
 
-    render: function() {
-        $(this.el).html(this.template({
-            id: this.model.id,
-            waveforms: TFFT.WAVEFORMS,
-            signal: this.model }));
-        this.$('.frequency-slider').slider({
-            value: this.model.get('frequency'),
-            min: 0,
-            max: TFFT.SAMPLE_RATE / 2.0,
-            slide: this.handleSliderChange('frequency')
-        });
+    /*
+     * Stops capturing and releases the microphone.  The history is kept, so the last
+     * captured audio can still be analysed.
+     */
+    stop: function() {
+        if (this.processor) {
+            this.processor.onaudioprocess = null;
+            this.processor.disconnect();
+            this.source.disconnect();
+            this.processor = this.source = null;
+        }
+        if (this.stream) {
+            if (this.stream.getTracks) {
+                _.each(this.stream.getTracks(), function(track) { track.stop(); });
+            } else if (this.stream.stop) {
+                this.stream.stop();
+            }
+            this.stream = null;
+        }
+        this.set('active', false);
+    },
+
+    /*
+     * Appends captured samples to the history, unless it is frozen.
+     *
+     * @param {Float32Array} samples Samples at the sample rate of the audio context
+     */
+    capture: function(samples) {
+        if (this.get('frozen')) {
+            return;
+        }
+        var history = this.history;
+        for (var i = 0; i < samples.length; i++) {
+            history[(this.captured + i) % history.length] = samples[i];
+        }
+        this.captured += samples.length;
+        this.fresh = true;
+    },
+
+    /*
+     * Animation loop.  Announces new audio at most once per frame, however often it
+     * arrives, and runs for as long as the microphone is open.
+     */
+    tick: function() {
+        if (!this.get('active')) {
+            return;
+        }
+        if (this.fresh) {
+            this.fresh = false;
+            this.trigger('capture', this);
+        }
+        TFFT.requestAnimationFrame(this.tick);
+    },
+
+    /*
+     * @returns {Float32Array} The most recent buffer of captured audio
+     */
+    getSignal: function(settings) {
+        settings = this.getSettings(settings);
+        var step = this.sampleRate / settings.get('sampleRate');
+        return this.read(this.captured - settings.get('bufferSize') * step, settings);
+    },
+
+    /*
+     * Streams consecutive buffers of captured audio, starting a little behind the most
+     * recent so that a reader keeping pace with the input does not run out.  A reader
+     * that gets ahead re-reads the most recent buffer; one that falls behind skips ahead.
+     */
+    createStream: function(settings) {
+        settings = this.getSettings(settings);
+        var that = this;
+        var length = settings.get('bufferSize') * this.sampleRate / settings.get('sampleRate');
+        var position = this.captured - 2 * length;
+        return function() {
+            position = Math.max(Math.min(position, that.captured - length), that.captured - that.history.length);
+            var signal = that.read(position, settings);
+            position += length;
+            return signal;
+        };
+    },
+
+    /*
+     * @param {Float} position Index in the captured audio at which to start reading
+     * @param {TFFT.AnalysisSettings} settings The analysis settings to read with
+     *
+     * @returns {Float32Array} One buffer of captured audio; anything not captured (or no
+     *          longer in the history) is silent
+     */
+    read: function(position, settings) {
+        var signal = new Float32Array(settings.get('bufferSize'));
+        var history = this.history;
+        var oldest = this.captured - history.length;
+        var amplitude = this.get('amplitude');
+        var step = this.sampleRate / settings.get('sampleRate');
+        var index, fraction, next;
+
+        for (var i = 0; i < signal.length; i++, position += step) {
+            index = Math.floor(position);
+            if (index < oldest || index < 0) {
+                continue;
+            }
+            if (index >= this.captured) {
+                break;
+            }
+            fraction = position - index;
+            next = index + 1 < this.captured ? history[(index + 1) % history.length] : 0.0;
+            signal[i] = amplitude * (history[index % history.length] * (1.0 - fraction) + next * fraction);
+        }
+
+        return signal;
+    }
+});
+
+TFFT.MicrophoneSignalModel.BUFFER_SIZE = 2048;
+
+/*
+ * Window functions that may be applied to the input signal before it is transformed.
+ *
+ * The FFT implicitly assumes that the buffer it is given is one period of an infinitely
+ * repeating signal.  Unless a tone completes a whole number of cycles inside the buffer
+ * the repetition introduces a discontinuity at the buffer edges, and its energy "leaks"
+ * into every other band.  Tapering the buffer towards zero at both ends trades a wider
+ * main lobe for much lower leakage; the rectangular window is the same as no window at all.
+ */
+TFFT.WINDOWS = {
+    'Rectangular': DSP.RECTANGULAR,
+    'Bartlett': DSP.BARTLETT,
+    'Blackman': DSP.BLACKMAN,
+    'Gauss': DSP.GAUSS,
+    'Hamming': DSP.HAMMING,
+    'Hann': DSP.HANN,
+    'Lanczos': DSP.LANCZOS,
+    'Triangular': DSP.TRIANGULAR
+};
+
+/*
+ * Gain corrections that compensate for the energy a window removes from the signal.
+ *
+ * Amplitude correction divides by the window's coherent gain (its mean value) so that
+ * the peak of a pure tone reads the same under every window.  Energy correction divides
+ * by the RMS of the window so that the total power of broadband signals is preserved.
+ */
+TFFT.WINDOW_CORRECTIONS = {
+    'None': 'none',
+    'Amplitude': 'amplitude',
+    'Energy': 'energy'
+};
+
+/*
+ * Settings that control how the input signal is analysed.
+ */
+TFFT.AnalysisSettings = Backbone.Model.extend({
+    defaults: {
+        bufferSize: TFFT.BUFFER_SIZE,
+        sampleRate: TFFT.SAMPLE_RATE,
+        windowFunction: DSP.HANN,
+        gaussAlpha: 0.25,
+        windowCorrection: 'amplitude'
+    },
+
+    /*
+     * @param {Object} options `store`, a TFFT.LocalStore to keep the settings in as they change
+     */
+    initialize: function(attributes, options) {
+        this.on('change', function() { this._window = null; }, this);
+
+        this.localStore = options && options.store;
+        if (this.localStore) {
+            this.on('change', function() { this.save(); }, this);
+        }
+    },
+
+    sync: TFFT.LocalStore.sync,
+
+    validate: function(attributes) {
+        if (!_.include(TFFT.BUFFER_SIZES, attributes.bufferSize)) {
+            return "Buffer size must be a power of two between " +
+                _.first(TFFT.BUFFER_SIZES) + " and " + _.last(TFFT.BUFFER_SIZES);
+        }
+        if (!(attributes.sampleRate >= TFFT.MIN_SAMPLE_RATE && attributes.sampleRate <= TFFT.MAX_SAMPLE_RATE)) {
+            return "Sample rate must be between " + TFFT.MIN_SAMPLE_RATE + " and " + TFFT.MAX_SAMPLE_RATE + " Hz";
+        }
+        if (!_.include(_.values(TFFT.WINDOWS), attributes.windowFunction)) {
+            return "Unknown window function: " + attributes.windowFunction;
+        }
+        if (!(attributes.gaussAlpha > 0 && attributes.gaussAlpha <= 1)) {
+            return "Gauss alpha must be in the range (0, 1]";
+        }
+        if (!_.include(_.values(TFFT.WINDOW_CORRECTIONS), attributes.windowCorrection)) {
+            return "Unknown window correction: " + attributes.windowCorrection;
+        }
+    },
+
+    /*
+     * @returns {Integer} The number of frequency bands produced by a transform
+     */
+    getBandCount: function() {
+        return this.get('bufferSize') / 2;
+    },
+
+    /*
+     * @returns {Float} The width (in Hz) of each frequency band
+     */
+    getBandwidth: function() {
+        return 2.0 / this.get('bufferSize') * this.get('sampleRate') / 2.0;
+    },
+
+    /*
+     * @param {Integer} index Index into the frequency domain buffer
+     *
+     * @returns {Float} The centre frequency (in Hz) of the band at index, a whole number of
+     *          bandwidths as the first band holds DC
+     */
+    getBandFrequency: function(index) {
+        return this.getBandwidth() * index;
+    },
+
+    /*
+     * @returns {Float} The highest frequency (in Hz) representable at the current sample rate
+     */
+    getNyquistFrequency: function() {
+        return this.get('sampleRate') / 2.0;
+    },
+
+    /*
+     * @returns {Float} The length (in seconds) of the signal held in one buffer
+     */
+    getDuration: function() {
+        return this.get('bufferSize') / this.get('sampleRate');
+    },
+
+    /*
+     * Computes the coefficients of the selected window for a buffer of the given length,
+     * along with the sums needed for gain correction.  The result is cached until the
+     * settings change.
+     *
+     * @param {Integer} length Length of the buffer to be windowed
+     *
+     * @returns {Object} The window coefficients, their sum and the sum of their squares
+     */
+    getWindow: function(length) {
+        if (this._window && this._window.coefficients.length === length) {
+            return this._window;
+        }
+
+        var type = this.get('windowFunction');
+        var alpha = type === DSP.GAUSS ? this.get('gaussAlpha') : undefined;
+        var coefficients = new Float32Array(length);
+        for (var i = 0; i < length; i++) {
+            coefficients[i] = 1.0;
+        }
+        new WindowFunction(type, alpha).process(coefficients);
+
+        var sum = 0.0, sumOfSquares = 0.0;
+        for (i = 0; i < length; i++) {
+            sum += coefficients[i];
+            sumOfSquares += coefficients[i] * coefficients[i];
+        }
+
+        return this._window = {
+            coefficients: coefficients,
+            sum: sum,
+            sumOfSquares: sumOfSquares
+        };
+    },
+
+    /*
+     * Returns the factor by which a windowed buffer is scaled to undo the attenuation
+     * of the window, according to the selected correction.
+     *
+     * @param {Integer} length Length of the buffer to be windowed
+     *
+     * @returns {Float} The gain correction factor
+     */
+    getWindowCorrection: function(length) {
+        var window = this.getWindow(length);
+        switch (this.get('windowCorrection')) {
+            case 'amplitude':
+                return length / window.sum;
+            case 'energy':
+                return Math.sqrt(length / window.sumOfSquares);
+            default:
+                return 1.0;
+        }
+    },
+
+    /*
+     * Returns the equivalent noise bandwidth of the selected window: the width (in bands)
+     * of an ideal filter that would pass as much noise power as one band of the transform.
+     * Windows other than the rectangular one spread each tone over several bands, so the
+     * squared magnitudes of those bands add up to more than the power of the tone.
+     *
+     * @param {Integer} length Length of the buffer to be windowed
+     *
+     * @returns {Float} The equivalent noise bandwidth in bands
+     */
+    getEquivalentNoiseBandwidth: function(length) {
+        var window = this.getWindow(length);
+        return length * window.sumOfSquares / (window.sum * window.sum);
+    },
+
+    /*
+     * Returns the factor that turns a sum of squared band magnitudes into the squared
+     * amplitude of the signal within those bands, whichever correction is selected.
+     *
+     * @param {Integer} length Length of the buffer to be windowed
+     *
+     * @returns {Float} The power scale factor
+     */
+    getBandPowerScale: function(length) {
+        var ratio = this.getAmplitudeScale(length);
+        return ratio * ratio / this.getEquivalentNoiseBandwidth(length);
+    },
+
+    /*
+     * Returns the factor that turns the magnitude of the band a tone falls in into the
+     * amplitude of the tone, whichever correction is selected.  Only amplitude correction
+     * leaves the magnitude as it is.
+     *
+     * @param {Integer} length Length of the buffer to be windowed
+     *
+     * @returns {Float} The amplitude scale factor
+     */
+    getAmplitudeScale: function(length) {
+        return length / this.getWindow(length).sum / this.getWindowCorrection(length);
+    },
+
+    /*
+     * Applies the selected window and gain correction to a signal.
+     *
+     * @param {Float32Array} signal The time domain signal
+     *
+     * @returns {Float32Array} A windowed copy of the signal; the input is left untouched
+     */
+    applyWindow: function(signal) {
+        var coefficients = this.getWindow(signal.length).coefficients;
+        var correction = this.getWindowCorrection(signal.length);
+        var windowed = new Float32Array(signal.length);
+        for (var i = 0; i < signal.length; i++) {
+            windowed[i] = signal[i] * coefficients[i] * correction;
+        }
+        return windowed;
+    },
+
+    /*
+     * Windows and transforms a signal into the frequency domain.
+     *
+     * @param {Float32Array} signal The time domain signal, one buffer long
+     *
+     * @returns {FFT} The forward transform of the windowed signal
+     */
+    transform: function(signal) {
+        var fft = new FFT(this.get('bufferSize'), this.get('sampleRate'));
+        fft.forward(this.applyWindow(signal));
+        return fft;
+    }
+});
+
+TFFT.Analysis = new TFFT.AnalysisSettings({ id: 'analysis' }, { store: new TFFT.LocalStore('tfft-analysis') });
+
+TFFT.SignalCollection = Backbone.Collection.extend({
+    model: TFFT.SignalModel,
+
+    /*
+     * @param {Object} options `settings`, the analysis settings, and `store`, a TFFT.LocalStore
+     *        to keep the signals in as they are created, changed and removed
+     */
+    initialize: function(models, options) {
+        this.settings = (options && options.settings) || TFFT.Analysis;
+
+        this.localStore = options && options.store;
+        if (this.localStore) {
+            this.on('change', function(signal) { signal.save(); }, this);
+            this.on('remove', function(signal) { this.localStore.destroy(signal); }, this);
+            this.on('move', function() { this.localStore.arrange(this.models); }, this);
+        }
+    },
+
+    sync: TFFT.LocalStore.sync,
+
+    /*
+     * Leaves out kept signals that are no longer valid, which Backbone would refuse to add.
+     */
+    parse: function(response) {
+        var model = this.model;
+        return _.reject(response, function(attributes) {
+            return model.prototype.validate(_.extend({}, model.prototype.defaults, attributes));
+        });
+    },
+
+    /*
+     * Moves a signal to another place in the collection.  Triggers "move".
+     *
+     * @param {TFFT.SignalModel} signal The signal to move
+     * @param {Integer} index Its new index
+     */
+    move: function(signal, index) {
+        this.models.splice(this.indexOf(signal), 1);
+        this.models.splice(index, 0, signal);
+        this.trigger('move', signal, this, { index: index });
+    },
+
+    /*
+     * Signals that are soloed are heard on their own; otherwise every signal that is not
+     * muted is heard.  A decomposed signal is heard through the sines of its Fourier series.
+     *
+     * @param {Boolean} ideal Hear decomposed signals as themselves instead of their sines
+     *
+     * @returns {Array} The signals that make up the sum
+     */
+    getAudibleSignals: function(ideal) {
+        var signals = this.reject(function(signal) {
+            return ideal ? signal.get('source') : signal.get('harmonics');
+        });
+        var soloed = _.filter(signals, function(signal) { return signal.get('solo'); });
+        return soloed.length ? soloed : _.reject(signals, function(signal) { return signal.get('muted'); });
+    },
+
+    /*
+     * @returns {Boolean} True if any signal is decomposed into sines
+     */
+    isDecomposed: function() {
+        return this.any(function(signal) { return signal.get('harmonics'); });
+    },
+
+    /*
+     * @param {Boolean} ideal Sum decomposed signals as themselves instead of their sines
+     *
+     * @returns {Float32Array} One buffer of the sum of the audible signals, which is silent
+     *          when there are none
+     */
+    getTotalSignal: function(ideal) {
+        var settings = this.settings;
+        var total = new Float32Array(settings.get('bufferSize'));
+        _.each(this.getAudibleSignals(ideal), function (signal) {
+            var buffer = signal.getSignal(settings);
+            for (var i = 0; i < total.length; i++) {
+                total[i] += buffer[i];
+            }
+        });
+
+        return total;
+    },
+
+    getFFT: function() {
+        return this.settings.transform(this.getTotalSignal());
+    },
+
+    /*
+     * Creates a stream of consecutive buffers of the sum of all signals.
+     *
+     * @param {TFFT.AnalysisSettings} settings Settings to use instead of the collection's
+     * @param {Integer} frameCount The number of buffers into the signals at which to start
+     * @param {Array} signals The signals to sum, if not the audible ones
+     *
+     * @returns {Function} A function returning the next buffer each time it is called
+     */
+    createStream: function(settings, frameCount, signals) {
+        settings = settings || this.settings;
+        var streams = _.map(signals || this.getAudibleSignals(), function(signal) { return signal.createStream(settings, frameCount); });
+        return function() {
+            var total = new Float32Array(settings.get('bufferSize'));
+            _.each(streams, function(stream) {
+                var buffer = stream();
+                for (var i = 0; i < total.length; i++) {
+                    total[i] += buffer[i];
+                }
+            });
+            return total;
+        };
+    }
+});
+
+/*
+ * Computes the short-time Fourier transform of a stream: successive transforms of
+ * overlapping frames, each `hopSize` samples later than the one before.
+ *
+ * @param {Function} stream A stream of buffers, as returned by createStream
+ * @param {TFFT.AnalysisSettings} settings The analysis settings
+ * @param {Integer} hopSize Samples between the starts of successive frames; at most one buffer
+ *
+ * @constructor
+ */
+TFFT.ShortTimeFourierTransform = function(stream, settings, hopSize) {
+    this.stream = stream;
+    this.settings = settings;
+    this.bufferSize = settings.get('bufferSize');
+    this.hopSize = Math.max(1, Math.min(hopSize, this.bufferSize));
+    this.frame = new Float32Array(this.bufferSize);
+    this.fft = new FFT(this.bufferSize, settings.get('sampleRate'));
+    this.pending = new Float32Array(0);
+    this.pendingOffset = 0;
+    this.started = false;
+};
+
+/*
+ * Advances the frame by one hop (a whole buffer for the first frame) and transforms it.
+ *
+ * @returns {FFT} The transform of the new frame; the same object is reused by every call
+ */
+TFFT.ShortTimeFourierTransform.prototype.next = function() {
+    var frame = this.frame;
+    var hop = this.started ? this.hopSize : this.bufferSize;
+
+    frame.set(frame.subarray(hop), 0);
+    for (var i = this.bufferSize - hop; i < this.bufferSize; i++) {
+        if (this.pendingOffset >= this.pending.length) {
+            this.pending = this.stream();
+            this.pendingOffset = 0;
+        }
+        frame[i] = this.pending[this.pendingOffset++];
+    }
+    this.started = true;
+
+    this.fft.peak = 0;
+    this.fft.peakBand = 0;
+    this.fft.forward(this.settings.applyWindow(frame));
+    return this.fft;
+};
+
+/*
+ * Returns the duration (in seconds) of one hop.
+ */
+TFFT.ShortTimeFourierTransform.prototype.getHopDuration = function() {
+    return this.hopSize / this.settings.get('sampleRate');
+};
+
+/*
+ * Edits made by hand to the spectrum of the summed signal, and the signal resynthesised
+ * from the edited spectrum with the inverse transform.
+ *
+ * Edits are made to the transform of the raw, unwindowed signal, so that where nothing
+ * has been edited the inverse transform gives back exactly the signal in the buffer.  An
+ * edit fixes the magnitude of a band while keeping its phase.  Edits are cleared when the
+ * buffer size or sample rate change, since band indices no longer mean the same frequencies.
+ */
+TFFT.SpectrumEditor = Backbone.Model.extend({
+    defaults: {
+        enabled: false
+    },
+
+    initialize: function(attributes, options) {
+        this.signals = options.signals;
+        this.magnitudes = {};
+        this.signals.settings.on('change:bufferSize change:sampleRate', this.reset, this);
+    },
+
+    hasEdits: function() {
+        return !_.isEmpty(this.magnitudes);
+    },
+
+    /*
+     * Fixes the magnitude of a range of bands.  Triggers "edit".
+     *
+     * @param {Integer} from The first band to edit
+     * @param {Integer} to The band after the last band to edit
+     * @param {Float} magnitude The new magnitude, on the scale of FFT.spectrum
+     */
+    setMagnitudes: function(from, to, magnitude) {
+        for (var band = from; band < to; band++) {
+            this.magnitudes[band] = Math.max(0.0, magnitude);
+        }
+        this.trigger('edit', this);
+    },
+
+    /*
+     * Discards all edits.  Triggers "edit".
+     */
+    reset: function() {
+        this.magnitudes = {};
+        this.trigger('edit', this);
+    },
+
+    /*
+     * @returns {FFT} The transform of the summed signal with the edits applied
+     */
+    getTransform: function() {
+        var settings = this.signals.settings;
+        var bufferSize = settings.get('bufferSize');
+        var fft = new FFT(bufferSize, settings.get('sampleRate'));
+        fft.forward(this.signals.getTotalSignal());
+
+        _.each(this.magnitudes, function(magnitude, band) {
+            band = parseInt(band, 10);
+            var real = fft.real[band];
+            var imag = fft.imag[band];
+            var current = Math.sqrt(real * real + imag * imag);
+            var target = magnitude * bufferSize / 2.0;
+
+            // a silent band has no phase to keep, so it starts as a cosine
+            real = current > 0 ? real * target / current : target;
+            imag = current > 0 ? imag * target / current : 0.0;
+
+            // the band mirrored above the Nyquist frequency holds the complex conjugate,
+            // which keeps the resynthesised signal real
+            fft.real[band] = real;
+            fft.imag[band] = imag;
+            if (band > 0) {
+                fft.real[bufferSize - band] = real;
+                fft.imag[bufferSize - band] = -imag;
+            }
+        });
+
+        fft.peak = 0;
+        fft.calculateSpectrum();
+        return fft;
+    },
+
+    /*
+     * @returns {Float32Array} The signal resynthesised from the edited transform
+     */
+    getSignal: function() {
+        var fft = this.getTransform();
+        // inverse() overwrites the arrays it is given
+        return fft.inverse(new Float32Array(fft.real), new Float32Array(fft.imag));
+    }
+});
+
+/*
+ * Soft limits a sample to the range (-1, 1).  Samples below the threshold pass through
+ * unchanged; above it they are bent smoothly towards full scale instead of being clipped,
+ * which would add harsh harmonics of its own.
+ *
+ * @param {Float} sample The sample to limit
+ * @param {Float} threshold The level (below 1) at which limiting begins
+ *
+ * @returns {Float} The limited sample
+ */
+TFFT.softLimit = function(sample, threshold) {
+    var magnitude = Math.abs(sample);
+    if (magnitude <= threshold) {
+        return sample;
+    }
+    var headroom = 1.0 - threshold;
+    var limited = threshold + headroom * Math.tanh((magnitude - threshold) / headroom);
+    return sample < 0 ? -limited : limited;
+};
+
+/*
+ * Plays the sum of the signals through the Web Audio API.
+ *
+ * Audio is generated buffer by buffer as the browser asks for it, continuing the
+ * oscillators from one buffer to the next, so that the sound is continuous rather
+ * than one analysis buffer repeated.  It is generated at the sample rate of the audio
+ * context, whatever the analysis sample rate.
+ *
+ * When the signals change, a new stream is started at the same point in time and the
+ * output crossfades to it over one buffer, so that edits can be heard without clicks.
+ */
+TFFT.Playback = Backbone.Model.extend({
+    defaults: {
+        playing: false,
+        volume: 0.5,
+        limiter: true
+    },
+
+    validate: function(attributes) {
+        if (!(attributes.volume >= 0 && attributes.volume <= 1)) {
+            return "Volume must be between 0 and 1";
+        }
+        if (attributes.playing && !TFFT.getAudioContext()) {
+            return "This browser cannot play audio";
+        }
+    },
+
+    initialize: function(attributes, options) {
+        this.signals = options.signals;
+        this.signals.on('all', this.invalidate, this);
+        this.on('change:playing', this.updatePlaying, this);
+    },
+
+    play: function() {
+        this.set('playing', true);
+    },
+
+    stop: function() {
+        this.set('playing', false);
+    },
+
+    /*
+     * Marks the stream as out of date, so that the next buffer crossfades to a new one.
+     * Newly captured live audio does not change the stream.
+     */
+    invalidate: function(eventName) {
+        if (eventName !== 'capture') {
+            this.stale = true;
+        }
+    },
+
+    /*
+     * Live signals are left out, since playing the microphone back through the speakers
+     * would only feed back into it.
+     */
+    createStream: function(frameCount) {
+        var signals = _.reject(this.signals.getAudibleSignals(), function(signal) { return signal.isLive(); });
+        return this.signals.createStream(this.settings, frameCount, signals);
+    },
+
+    updatePlaying: function() {
+        if (this.get('playing')) {
+            this.start();
+        } else if (this.processor) {
+            this.processor.disconnect();
+            this.processor.onaudioprocess = null;
+            this.processor = null;
+        }
+    },
+
+    start: function() {
+        var context = TFFT.getAudioContext();
+        this.settings = new TFFT.AnalysisSettings({
+            bufferSize: TFFT.Playback.BUFFER_SIZE,
+            sampleRate: context.sampleRate
+        });
+        this.frameCount = 0;
+        this.stream = this.createStream(0);
+        this.stale = false;
+        this.gain = 0.0;
+
+        // older implementations only know the original name of the node
+        this.processor = context.createScriptProcessor ?
+            context.createScriptProcessor(TFFT.Playback.BUFFER_SIZE, 0, 1) :
+            context.createJavaScriptNode(TFFT.Playback.BUFFER_SIZE, 0, 1);
+        this.processor.onaudioprocess = _.bind(function(event) {
+            this.process(event.outputBuffer.getChannelData(0));
+        }, this);
+        this.processor.connect(context.destination);
+
+        // contexts created before the user interacted with the page start suspended
+        if (context.resume && context.state === 'suspended') {
+            context.resume();
+        }
+    },
+
+    /*
+     * Fills an output buffer with the next buffer of the signals.
+     *
+     * @param {Float32Array} output The buffer to fill
+     */
+    process: function(output) {
+        var buffer = this.stream();
+        var length = Math.min(output.length, buffer.length);
+        var i;
+
+        if (this.stale) {
+            this.stale = false;
+            this.stream = this.createStream(this.frameCount);
+            var next = this.stream();
+            for (i = 0; i < length; i++) {
+                buffer[i] += (next[i] - buffer[i]) * i / length;
+            }
+        }
+        this.frameCount++;
+
+        // the volume ramps over the buffer, so moving the slider does not click either
+        var gain = this.gain;
+        var step = (this.get('volume') - gain) / length;
+        var threshold = this.get('limiter') ? TFFT.Playback.LIMITER_THRESHOLD : null;
+        for (i = 0; i < length; i++) {
+            gain += step;
+            output[i] = buffer[i] * gain;
+            if (threshold !== null) {
+                output[i] = TFFT.softLimit(output[i], threshold);
+            }
+        }
+        for (; i < output.length; i++) {
+            output[i] = 0.0;
+        }
+        this.gain = gain;
+    }
+});
+
+TFFT.Playback.BUFFER_SIZE = 2048;
+
+TFFT.Playback.LIMITER_THRESHOLD = 0.8;
+
+
+TFFT.Signals = new TFFT.SignalCollection([], { settings: TFFT.Analysis, store: new TFFT.LocalStore('tfft-signals') });
+
+/*
+ * The letter each attribute of a scene is written with in a link.  A link holds the
+ * analysis settings and then each signal that has a frequency, in turn, leaving out every
+ * attribute that has its default value, eg. #s=n4096/f440,a0.5/f660,w3
+ */
+TFFT.SCENE_KEYS = {
+    analysis: {
+        bufferSize: 'n',
+        sampleRate: 'r',
+        windowFunction: 'w',
+        gaussAlpha: 'g',
+        windowCorrection: 'c'
+    },
+    signal: {
+        frequency: 'f',
+        amplitude: 'a',
+        phase: 'p',
+        dcOffset: 'o',
+        waveForm: 'w',
+        dutyCycle: 'd',
+        bandLimited: 'b',
+        muted: 'm',
+        solo: 's',
+        harmonics: 'h'
+    }
+};
+
+/*
+ * Encodes the analysis settings and signals as a scene for the hash of a link.
+ *
+ * @param {TFFT.AnalysisSettings} settings The analysis settings
+ * @param {TFFT.SignalCollection} signals The signals
+ *
+ * @returns {String} The scene
+ */
+TFFT.encodeScene = function(settings, signals) {
+    var encode = function(model, keys) {
+        return _.compact(_.map(keys, function(key, attribute) {
+            var value = model.get(attribute);
+            if (value === model.defaults[attribute]) {
+                return null;
+            }
+            if (_.isBoolean(value)) {
+                value = value ? 1 : 0;
+            } else if (_.isNumber(value)) {
+                value = Math.round(value * 1e6) / 1e6;
+            }
+            return key + encodeURIComponent(value);
+        })).join(',');
+    };
+
+    var groups = [encode(settings, TFFT.SCENE_KEYS.analysis)];
+    // the sines of a decomposed signal are made again from it
+    signals.each(function(signal) {
+        if (signal.has('frequency') && !signal.get('source')) {
+            groups.push(encode(signal, TFFT.SCENE_KEYS.signal));
+        }
+    });
+    return 's=' + groups.join('/');
+};
+
+/*
+ * Decodes a scene written by TFFT.encodeScene.  Attributes left out of the scene are not
+ * set, and letters that stand for no attribute, or numbers that cannot be read, are skipped.
+ *
+ * @param {String} hash The hash of a link, with or without its leading '#'
+ *
+ * @returns {Object} The attributes of the analysis settings as `analysis` and those of
+ *          each signal as `signals`, or null if the hash holds no scene
+ */
+TFFT.decodeScene = function(hash) {
+    var match = /^#?s=(.*)$/.exec(hash || '');
+    if (!match) {
+        return null;
+    }
+
+    var decode = function(group, keys, defaults) {
+        var attributes = {};
+        _.each(group ? group.split(',') : [], function(field) {
+            var attribute = _.find(_.keys(keys), function(attribute) { return keys[attribute] === field.charAt(0); });
+            if (!attribute) {
+                return;
+            }
+            var value = decodeURIComponent(field.substring(1));
+            var fallback = defaults[attribute];
+            if (_.isNumber(fallback)) {
+                // a value that is not a number is left out, as if it had not been written
+                value = parseFloat(value);
+                if (!isFinite(value)) {
+                    return;
+                }
+            }
+            attributes[attribute] = _.isBoolean(fallback) ? value === '1' : value;
+        });
+        return attributes;
+    };
+
+    try {
+        var groups = match[1].split('/');
+        return {
+            analysis: decode(groups[0], TFFT.SCENE_KEYS.analysis, TFFT.AnalysisSettings.prototype.defaults),
+            signals: _.map(_.rest(groups), function(group) {
+                var attributes = decode(group, TFFT.SCENE_KEYS.signal, TFFT.SignalModel.prototype.defaults);
+                // each harmonic is a signal of its own, so a link may not ask for any number
+                if (_.has(attributes, 'harmonics')) {
+                    attributes.harmonics = Math.max(0, Math.min(TFFT.MAX_HARMONICS, Math.round(attributes.harmonics)));
+                }
+                return attributes;
+            })
+        };
+    } catch (error) {
+        // a mangled link, which decodeURIComponent cannot read
+        return null;
+    }
+};
+
+/*
+ * A ready made scene that demonstrates something about the Fourier transform.
+ *
+ * Attributes are a `name` for the menu, a `caption` explaining what to look for, the
+ * `analysis` settings that differ from the defaults and the attributes of each of its
+ * `signals`.  The window function and waveforms may be given by their names in
+ * TFFT.WINDOWS and TFFT.WAVEFORMS.
+ */
+TFFT.Preset = Backbone.Model.extend({
+    defaults: {
+        name: '',
+        caption: '',
+        analysis: {},
+        signals: []
+    },
+
+    /*
+     * @returns {Object} The preset as a scene, as returned by TFFT.decodeScene
+     */
+    getScene: function() {
+        var resolve = function(attributes, attribute, names) {
+            if (_.has(names, attributes[attribute])) {
+                attributes[attribute] = names[attributes[attribute]];
+            }
+            return attributes;
+        };
+
+        return {
+            analysis: resolve(_.clone(this.get('analysis')), 'windowFunction', TFFT.WINDOWS),
+            signals: _.map(this.get('signals'), function(signal) {
+                return resolve(_.clone(signal), 'waveForm', TFFT.WAVEFORMS);
+            })
+        };
+    }
+});
+
+/*
+ * The presets of data/presets.json, a JSON array of the attributes of each TFFT.Preset.
+ * Presets of one's own are added by adding them to that file.
+ */
+TFFT.PresetCollection = Backbone.Collection.extend({
+    model: TFFT.Preset,
+
+    url: 'data/presets.json'
+});
+
+/*
+ * Fractions of an octave into which the spectrum may be grouped; zero shows every band
+ * of the transform on its own.
+ */
+TFFT.BAND_FRACTIONS = {
+    'FFT bands': 0,
+    'Octave': 1,
+    '1/3 octave': 3,
+    '1/6 octave': 6
+};
+
+TFFT.FREQUENCY_SCALES = {
+    'Linear': 'linear',
+    'Logarithmic': 'log'
+};
+
+/*
+ * Computes the fractional octave bands of IEC 61260 that lie between two frequencies.
+ *
+ * Band centres are spaced by the base ten octave ratio G = 10^(3/10) around 1 kHz:
+ * for an odd fraction b they fall at 1000 * G^(x/b), for an even fraction at
+ * 1000 * G^((2x + 1) / 2b).  Each band extends by a factor of G^(1/2b) either side.
+ *
+ * @param {Integer} fraction The denominator b of the 1/b octave bands
+ * @param {Float} minFrequency No band starts below this frequency
+ * @param {Float} maxFrequency No band ends above this frequency
+ *
+ * @returns {Array} The bands, lowest first, as objects with centre, lower and upper frequencies
+ */
+TFFT.getFractionalOctaveBands = function(fraction, minFrequency, maxFrequency) {
+    var ratio = Math.pow(10, 3 / 10);
+    var halfBand = Math.pow(ratio, 1 / (2 * fraction));
+    var exponent = function(x) {
+        return fraction % 2 ? x / fraction : (2 * x + 1) / (2 * fraction);
+    };
+
+    var bands = [];
+    var x = Math.floor(fraction * Math.log(minFrequency / 1000) / Math.log(ratio)) - 1;
+    for (;; x++) {
+        var centre = 1000 * Math.pow(ratio, exponent(x));
+        if (centre * halfBand > maxFrequency) {
+            break;
+        }
+        if (centre / halfBand >= minFrequency) {
+            bands.push({ centre: centre, lower: centre / halfBand, upper: centre * halfBand });
+        }
+    }
+    return bands;
+};
+
+/*
+ * Returns the phase of a band of a transform, in degrees from -180 to 180.
+ *
+ * @param {FFT} fft A forward transform
+ * @param {Integer} index Index of the band
+ *
+ * @returns {Float} The phase of the band relative to a cosine
+ */
+TFFT.getPhase = function(fft, index) {
+    return Math.atan2(fft.imag[index], fft.real[index]) * 180.0 / Math.PI;
+};
+
+/*
+ * Formats a frequency for an axis label, eg. 500 or 2k.
+ */
+TFFT.formatFrequency = function(frequency) {
+    var format = function(value) {
+        return d3.format(".3r")(value).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+    };
+    return frequency >= 1000 ? format(frequency / 1000) + 'k' : format(frequency);
+};
+
+TFFT.NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/*
+ * Names the equal-tempered note (A4 = 440 Hz) nearest a frequency, eg. A4 +3¢.
+ *
+ * @param {Float} frequency A frequency in Hz
+ *
+ * @returns {String} The note name and the distance from it in cents
+ */
+TFFT.getNoteName = function(frequency) {
+    if (!(frequency > 0)) {
+        return '';
+    }
+    // MIDI note numbers, in which A4 is 69
+    var pitch = 69 + 12 * Math.log(frequency / 440.0) / Math.LN2;
+    var note = Math.round(pitch);
+    var cents = Math.round(100 * (pitch - note));
+    return TFFT.NOTE_NAMES[(note % 12 + 12) % 12] + (Math.floor(note / 12) - 1) + ' ' +
+        (cents < 0 ? '' : '+') + cents + '\u00a2';
+};
+
+/*
+ * Units in which spectrum levels may be shown:
+ *
+ *  - dBFS: decibels relative to a full-scale (amplitude 1.0) sine
+ *  - magnitude: the amplitude of the sine each band represents
+ *  - power: the mean square of that sine, half its squared amplitude
+ *  - PSD: power spectral density in decibels per Hz, the power in a band divided by its
+ *    width, which for the bands of the transform is the equivalent noise bandwidth of the window
+ */
+TFFT.LEVEL_SCALES = {
+    'dBFS': 'dbfs',
+    'Magnitude': 'magnitude',
+    'Power': 'power',
+    'PSD (dB/Hz)': 'psd'
+};
+
+/*
+ * The default floor and ceiling of each level scale, and the units shown on the level axis.
+ */
+TFFT.LEVEL_RANGES = {
+    dbfs: [-120, 0],
+    magnitude: [0, 1],
+    power: [0, 0.5],
+    psd: [-160, 0]
+};
+
+TFFT.LEVEL_UNITS = {
+    dbfs: 'dBFS',
+    magnitude: '',
+    power: '',
+    psd: 'dB/Hz'
+};
+
+/*
+ * Numbers of peaks that may be marked on the spectrum
+ */
+TFFT.PEAK_COUNTS = {
+    'None': 0,
+    'Top 3': 3,
+    'Top 5': 5,
+    'Top 10': 10
+};
+
+/*
+ * Finds the largest local maxima of a spectrum.
+ *
+ * The frequency and magnitude of each peak are refined by fitting a parabola through the
+ * decibel levels of the peak band and its two neighbours, which places a tone to a small
+ * fraction of a band.  A tone at frequency f peaks in band f / bandwidth, whose centre is
+ * given by TFFT.AnalysisSettings.getBandFrequency.
+ *
+ * Peaks are then checked for a harmonic series: the fundamental is the peak that explains
+ * the most magnitude among peaks at whole multiples of its frequency, so long as it explains
+ * at least one peak besides itself.
+ *
+ * @param {Float32Array} spectrum Magnitudes of the bands of a transform
+ * @param {Float} bandwidth The width of each band (in Hz)
+ * @param {Object} options count, the number of peaks to find (default 5), and threshold,
+ *        the level (in dB relative to the largest band) below which maxima are ignored
+ *        (default -60)
+ *
+ * @returns {Array} Peaks, largest first: objects with band, frequency, magnitude, and
+ *          harmonic, the number of the harmonic (1 for the fundamental) or 0 if the peak
+ *          is not part of the series
+ */
+TFFT.findPeaks = function(spectrum, bandwidth, options) {
+    options = _.extend({ count: 5, threshold: -60 }, options);
+
+    var largest = _.max(spectrum);
+    var minimum = largest * Math.pow(10, options.threshold / 20.0);
+    var level = function(band) { return Math.toDecibels(Math.max(spectrum[band], 1e-12)); };
+    var peaks = [];
+
+    // the DC band and the last band have only one neighbour and are never peaks
+    for (var band = 1; band < spectrum.length - 1; band++) {
+        if (spectrum[band] > minimum && spectrum[band] > spectrum[band - 1] && spectrum[band] >= spectrum[band + 1]) {
+            var before = level(band - 1), at = level(band), after = level(band + 1);
+            var curvature = before - 2.0 * at + after;
+            var offset = curvature < 0 ? 0.5 * (before - after) / curvature : 0.0;
+            peaks.push({
+                band: band,
+                frequency: (band + offset) * bandwidth,
+                magnitude: Math.pow(10, (at - 0.25 * (before - after) * offset) / 20.0),
+                harmonic: 0
+            });
+        }
+    }
+
+    peaks = _.sortBy(peaks, function(peak) { return -peak.magnitude; }).slice(0, options.count);
+
+    // a peak belongs to the series if it lies within a band of a multiple of the fundamental
+    var harmonicOf = function(peak, fundamental) {
+        var harmonic = Math.round(peak.frequency / fundamental.frequency);
+        return harmonic >= 1 && Math.abs(peak.frequency - harmonic * fundamental.frequency) < bandwidth ? harmonic : 0;
+    };
+    var best = null, bestScore = 0;
+    _.each(peaks, function(candidate) {
+        var matches = _.filter(peaks, function(peak) { return harmonicOf(peak, candidate) > 0; });
+        var score = _.reduce(matches, function(sum, peak) { return sum + peak.magnitude; }, 0);
+        if (matches.length > 1 && (score > bestScore || (score === bestScore && candidate.frequency < best.frequency))) {
+            best = candidate;
+            bestScore = score;
+        }
+    });
+    if (best) {
+        _.each(peaks, function(peak) { peak.harmonic = harmonicOf(peak, best); });
+    }
+
+    return peaks;
+};
+
+/*
+ * How the spectrum is displayed: on a linear or logarithmic frequency axis, band by band
+ * or grouped into fractional octave bands, in which units between which levels, how many
+ * of the largest peaks are marked, and whether the bars are drawn in SVG or on a canvas.
+ */
+TFFT.SpectrumSettings = Backbone.Model.extend({
+    defaults: {
+        frequencyScale: 'linear',
+        bandFraction: 0,
+        levelScale: 'dbfs',
+        floor: TFFT.LEVEL_RANGES.dbfs[0],
+        ceiling: TFFT.LEVEL_RANGES.dbfs[1],
+        peakCount: 0,
+        renderer: 'canvas'
+    },
+
+    validate: function(attributes) {
+        if (!_.include(_.values(TFFT.FREQUENCY_SCALES), attributes.frequencyScale)) {
+            return "Unknown frequency scale: " + attributes.frequencyScale;
+        }
+        if (!_.include(_.values(TFFT.BAND_FRACTIONS), attributes.bandFraction)) {
+            return "Unknown band fraction: " + attributes.bandFraction;
+        }
+        if (!_.include(_.values(TFFT.LEVEL_SCALES), attributes.levelScale)) {
+            return "Unknown level scale: " + attributes.levelScale;
+        }
+        if (!(attributes.floor < attributes.ceiling)) {
+            return "The floor must be below the ceiling";
+        }
+        if (!_.include(_.values(TFFT.PEAK_COUNTS), attributes.peakCount)) {
+            return "Unknown number of peaks: " + attributes.peakCount;
+        }
+        if (!_.include(_.values(TFFT.RENDERERS), attributes.renderer)) {
+            return "Unknown renderer: " + attributes.renderer;
+        }
+    },
+
+    /*
+     * Creates the frequency scale shared by every view of the spectrum, so that their
+     * frequency axes line up.
+     *
+     * @param {TFFT.AnalysisSettings} settings The analysis settings
+     * @param {Integer} width The width of the plot area
+     *
+     * @returns {d3.scale} A scale from frequency (in Hz) to horizontal position
+     */
+    getFrequencyScale: function(settings, width) {
+        var x;
+        if (this.get('frequencyScale') === 'log') {
+            // the lowest band reaches down to 0 Hz, which a log scale cannot show
+            x = d3.scale.log()
+                .domain([settings.getBandwidth(), settings.getNyquistFrequency()])
+                .clamp(true);
+        } else {
+            x = d3.scale.linear()
+                .domain([0, settings.getNyquistFrequency()]);
+        }
+        return x.rangeRound([0, width]);
+    },
+
+    /*
+     * @param {d3.scale} x A scale returned by getFrequencyScale
+     *
+     * @returns {d3.svg.axis} A frequency axis for the bottom of a chart
+     */
+    getFrequencyAxis: function(x) {
+        var xAxis = d3.svg.axis()
+            .scale(x)
+            .orient("bottom")
+            .tickFormat(TFFT.formatFrequency);
+
+        // label only the 1, 2 and 5 of each decade, unless zoomed in to less than a decade
+        var domain = x.domain();
+        if (this.get('frequencyScale') === 'log' && domain[1] / domain[0] >= 10) {
+            xAxis.tickFormat(function(d) {
+                var mantissa = Math.round(d / Math.pow(10, Math.floor(Math.log10(d) + 1e-9)));
+                return mantissa === 1 || mantissa === 2 || mantissa === 5 ? TFFT.formatFrequency(d) : "";
+            });
+        }
+        return xAxis;
+    }
+});
+
+/*
+ * How a chart draws its data.  SVG draws every bar or line as an element, which can be
+ * styled and exported but gets slow with thousands of bands; canvas paints them as pixels.
+ * Axes, labels and markers are always SVG.
+ */
+TFFT.RENDERERS = {
+    'SVG': 'svg',
+    'Canvas': 'canvas'
+};
+
+/*
+ * Colour schemes of the charts.  What is drawn in SVG takes its colours from the style
+ * sheet, by the class of the theme; these are the colours of what a style sheet cannot
+ * reach: the gradient filling the spectrum bars (stops from the top of a bar to its
+ * bottom), the waveform and the waveform resynthesised from an edited spectrum when
+ * painted on a canvas, and the lowest and highest bands in the complex plane.
+ */
+TFFT.THEMES = {
+    'Dark': {
+        className: 'theme-dark',
+        bars: [
+            { offset: 0.0, color: '#DA70D6' },
+            { offset: 0.5, color: '#9932CC' },
+            { offset: 1.0, color: '#2E0854' }
+        ],
+        line: '#DA70D6',
+        resynthesized: '#20B2AA',
+        ideal: '#999999',
+        bands: ['#DA70D6', '#00FFFF']
+    },
+    'Light': {
+        className: 'theme-light',
+        bars: [
+            { offset: 0.0, color: '#9932CC' },
+            { offset: 1.0, color: '#E6C3F0' }
+        ],
+        line: '#8B008B',
+        resynthesized: '#008080',
+        ideal: '#999999',
+        bands: ['#8B008B', '#008B8B']
+    }
+};
+
+/*
+ * Offers a file to the user as a download.
+ *
+ * @param {Blob} blob The file contents
+ * @param {String} filename The suggested name of the file
+ */
+TFFT.download = function(blob, filename) {
+    var url = window.URL.createObjectURL(blob);
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+};
+
+/*
+ * @returns {String} The rules of the application's style sheet, which a chart saved on its
+ *          own needs to look as it does on the page
+ */
+TFFT.getChartStyles = function() {
+    var rules = [];
+    _.each(document.styleSheets, function(sheet) {
+        if (!sheet.href || !/styles\.css$/.test(sheet.href)) {
+            return;
+        }
+        try {
+            _.each(sheet.cssRules, function(rule) { rules.push(rule.cssText); });
+        } catch (error) {
+            // style sheets loaded from file:// may not be readable
+        }
+    });
+    return rules.join('\n');
+};
+
+/*
+ * Saves a chart as an SVG file.  The chart's SVG is copied with the style sheet and the
+ * classes of the chart's view, so that the same rules apply to it.
+ *
+ * @param {SVGElement} svg The chart's SVG element
+ * @param {String} filename The suggested name of the file
+ * @param {Function} prepare A function given the copy before it is saved, optional
+ */
+TFFT.exportSVG = function(svg, filename, prepare) {
+    var namespace = 'http://www.w3.org/2000/svg';
+    var copy = svg.cloneNode(true);
+    copy.setAttribute('xmlns', namespace);
+    copy.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+    copy.setAttribute('class', svg.getAttribute('class') + ' ' + $(svg).closest('.graph').attr('class'));
+
+    var style = document.createElementNS(namespace, 'style');
+    style.textContent = TFFT.getChartStyles();
+    copy.insertBefore(style, copy.firstChild);
+
+    // the crosshair follows the pointer, and has no place in a saved chart
+    $(copy).find('.crosshair').remove();
+
+    if (prepare) {
+        prepare(copy);
+    }
+
+    var source = new XMLSerializer().serializeToString(copy);
+    TFFT.download(new Blob([source], { type: 'image/svg+xml' }), filename);
+};
+
+/*
+ * A crosshair that follows the pointer over a chart with a readout of the point under it,
+ * and up to two markers placed by clicking, with a readout of the difference between them.
+ *
+ * The chart decides what lies under the pointer: it passes the position to draw at and the
+ * lines of text to show.  Markers keep what the chart knew about their points, so that the
+ * chart can move them along its axis when it is zoomed, panned or resized.
+ *
+ * @param {d3.selection} chart The plot area to draw in
+ * @param {Integer} width The width of the plot area
+ * @param {Integer} height The height of the plot area
+ * @param {String} clip The clip path of the plot, which hides markers moved out of view
+ */
+TFFT.Crosshair = function(chart, width, height, clip) {
+    this.points = [];
+
+    this.markers = chart.append("g")
+        .attr("class", "markers")
+        .attr("clip-path", clip || null);
+
+    this.group = chart.append("g")
+        .attr("class", "crosshair")
+        .style("display", "none");
+    this.vertical = this.group.append("line")
+        .attr("y1", 0);
+    this.horizontal = this.group.append("line")
+        .attr("x1", 0);
+    this.readout = this.group.append("text")
+        .attr("class", "readout");
+    this.setSize(width, height);
+};
+
+TFFT.Crosshair.prototype.setSize = function(width, height) {
+    this.width = width;
+    this.height = height;
+    this.vertical.attr("y2", height);
+    this.horizontal.attr("x2", width);
+};
+
+/*
+ * Writes lines of text into a text element, next to a point of the plot.
+ */
+TFFT.Crosshair.prototype.write = function(text, x, y, lines) {
+    // readouts turn to the other side of the point near the right and bottom edges
+    var left = x > this.width - 140;
+    text.selectAll("tspan").remove();
+    text.attr("text-anchor", left ? "end" : "start")
+        .attr("transform", "translate(" + (left ? x - 8 : x + 8) + "," +
+            Math.min(y + 14, this.height - 14 * lines.length + 10) + ")");
+    _.each(lines, function(line, i) {
+        text.append("tspan")
+            .attr("x", 0)
+            .attr("y", 14 * i)
+            .text(line);
+    });
+};
+
+/*
+ * @param {Float} x Horizontal position of the point under the pointer
+ * @param {Float} y Vertical position of the point under the pointer
+ * @param {Array} lines Lines of text describing the point
+ */
+TFFT.Crosshair.prototype.show = function(x, y, lines) {
+    this.group.style("display", null);
+    this.vertical.attr("x1", x).attr("x2", x);
+    this.horizontal.attr("y1", y).attr("y2", y);
+    this.write(this.readout, x, y, lines);
+};
+
+TFFT.Crosshair.prototype.hide = function() {
+    this.group.style("display", "none");
+};
+
+/*
+ * Places a marker.  A third marker starts a new pair.
+ *
+ * @param {Float} x Horizontal position of the marked point
+ * @param {Float} y Vertical position of the marked point
+ * @param {Object} point What the chart knows about the point
+ * @param {Function} describe A function of two points returning lines of text describing
+ *        the difference between them
+ */
+TFFT.Crosshair.prototype.mark = function(x, y, point, describe) {
+    if (this.points.length === 2) {
+        this.points = [];
+    }
+    this.points.push({ x: x, y: y, point: point });
+    this.describe = describe;
+    this.drawMarkers();
+};
+
+/*
+ * Moves the markers along the horizontal axis.
+ *
+ * @param {Function} locate A function of what the chart knew about a marked point,
+ *        returning its horizontal position now
+ */
+TFFT.Crosshair.prototype.reposition = function(locate) {
+    _.each(this.points, function(d) { d.x = locate(d.point); });
+    this.drawMarkers();
+};
+
+TFFT.Crosshair.prototype.drawMarkers = function() {
+    this.markers.selectAll("*").remove();
+    this.markers.selectAll("circle")
+        .data(this.points)
+        .enter().append("circle")
+        .attr("cx", function(d) { return d.x; })
+        .attr("cy", function(d) { return d.y; })
+        .attr("r", 4);
+
+    if (this.points.length === 2) {
+        var first = this.points[0], second = this.points[1];
+        this.markers.append("line")
+            .attr("x1", first.x)
+            .attr("y1", first.y)
+            .attr("x2", second.x)
+            .attr("y2", second.y);
+        this.write(this.markers.append("text").attr("class", "readout"),
+            (first.x + second.x) / 2.0, (first.y + second.y) / 2.0, this.describe(first.point, second.point));
+    }
+};
+
+/*
+ * The part of a chart's horizontal axis that is in view, from `start` to `end` as fractions
+ * of the full axis.  Being fractions of the plot rather than values on the axis, they apply
+ * the same way to linear and logarithmic axes, and survive changes to the axis domain.
+ */
+TFFT.Zoom = Backbone.Model.extend({
+    defaults: {
+        start: 0.0,
+        end: 1.0
+    },
+
+    validate: function(attributes) {
+        if (!(attributes.start >= 0 && attributes.end <= 1 &&
+              attributes.end - attributes.start >= TFFT.Zoom.MIN_SPAN * (1 - 1e-9))) {
+            return "The zoomed range must lie within the axis and span at least " +
+                TFFT.Zoom.MIN_SPAN * 100 + "% of it";
+        }
+    },
+
+    isZoomed: function() {
+        return this.get('start') > 0 || this.get('end') < 1;
+    },
+
+    reset: function() {
+        this.set({ start: 0.0, end: 1.0 });
+    },
+
+    /*
+     * Zooms to a range, narrowing it no further than the minimum span and shifting it
+     * back inside the axis if needed.
+     *
+     * @param {Float} start Fraction of the full axis at which the range starts
+     * @param {Float} end Fraction of the full axis at which the range ends
+     */
+    zoomTo: function(start, end) {
+        var span = Math.min(1.0, Math.max(Math.abs(end - start), TFFT.Zoom.MIN_SPAN));
+        var centre = (start + end) / 2.0;
+        start = Math.min(Math.max(0.0, centre - span / 2.0), 1.0 - span);
+        this.set({ start: start, end: start + span });
+    },
+
+    /*
+     * Zooms to the part of the plot between two horizontal positions.
+     *
+     * @param {Float} from A position in the plot area, in pixels
+     * @param {Float} to Another position in the plot area, in pixels
+     * @param {Integer} width The width of the plot area
+     */
+    zoomToPixels: function(from, to, width) {
+        var span = this.get('end') - this.get('start');
+        this.zoomTo(this.get('start') + span * Math.min(from, to) / width,
+                    this.get('start') + span * Math.max(from, to) / width);
+    },
+
+    /*
+     * Zooms in (factor above 1) or out about a position, which stays where it is.
+     *
+     * @param {Float} factor How many times to magnify the axis
+     * @param {Float} position The position in the plot area to zoom about, in pixels
+     * @param {Integer} width The width of the plot area
+     */
+    zoomAt: function(factor, position, width) {
+        var start = this.get('start'), end = this.get('end');
+        var centre = start + (end - start) * position / width;
+        var span = Math.min(1.0, Math.max((end - start) / factor, TFFT.Zoom.MIN_SPAN));
+        start = Math.min(Math.max(0.0, centre - span * position / width), 1.0 - span);
+        this.set({ start: start, end: start + span });
+    },
+
+    /*
+     * Moves the range in view as if the plot were dragged, stopping at either end.
+     *
+     * @param {Float} distance How far the plot is dragged to the right, in pixels
+     * @param {Integer} width The width of the plot area
+     */
+    panBy: function(distance, width) {
+        var span = this.get('end') - this.get('start');
+        var start = Math.min(Math.max(0.0, this.get('start') - span * distance / width), 1.0 - span);
+        this.set({ start: start, end: start + span });
+    },
+
+    /*
+     * Applies the zoom to a scale of the full axis.
+     *
+     * @param {d3.scale} scale A scale whose domain is the full axis
+     *
+     * @returns {d3.scale} A copy of the scale whose domain is the range in view
+     */
+    apply: function(scale) {
+        var range = scale.range();
+        var at = function(fraction) { return scale.invert(range[0] + (range[1] - range[0]) * fraction); };
+        return scale.copy().domain([at(this.get('start')), at(this.get('end'))]);
+    }
+});
+
+TFFT.Zoom.MIN_SPAN = 0.001;
+
+/*
+ * How many times each step of the mouse wheel magnifies a chart
+ */
+TFFT.ZOOM_STEP = 1.25;
+
+/*
+ * How long, in milliseconds, a touch must be held still to count as a long press
+ */
+TFFT.LONG_PRESS_DURATION = 600;
+
+/*
+ * How far, in pixels, a touch may wander before it counts as a drag
+ */
+TFFT.TOUCH_SLOP = 8;
+
+/*
+ * Normalises a mouse wheel event across browsers.
+ *
+ * @returns {Integer} 1 if the wheel was turned away from the user, -1 if towards
+ */
+TFFT.getWheelDirection = function(event) {
+    var original = event.originalEvent || event;
+    var delta = original.wheelDelta !== undefined ? original.wheelDelta :
+        original.deltaY !== undefined ? -original.deltaY : -original.detail;
+    return delta > 0 ? 1 : -1;
+};
+
+/*
+ * Methods shared by the charts that can be zoomed and panned along their horizontal axis,
+ * for mixing into a TFFT.ChartView.  A chart using them keeps its TFFT.Zoom as `zoom`.
+ * Dragging pans, shift-dragging selects a range to zoom to and the mouse wheel zooms about
+ * the pointer; `navigated` is set after a drag, so that the click ending it can be told
+ * apart from a plain click.
+ */
+TFFT.ChartNavigation = {
+    zoomControlsTemplate: _.template($('#zoom_controls_template').html()),
+
+    startNavigation: function(event) {
+        event.preventDefault();
+        var x = this.getPlotPosition(event).x;
+        this.navigation = { brush: event.shiftKey, start: x, last: x, moved: false };
+    },
+
+    continueNavigation: function(event) {
+        var navigation = this.navigation;
+        if (!navigation) {
+            return;
+        }
+
+        var x = this.getPlotPosition(event).x;
+        navigation.moved = navigation.moved || Math.abs(x - navigation.start) > 3;
+        if (navigation.brush) {
+            this.drawSelection(navigation.start, x);
+        } else if (navigation.moved) {
+            this.zoom.panBy(x - navigation.last, this.width);
+            navigation.last = x;
+        }
+    },
+
+    endNavigation: function(event) {
+        var navigation = this.navigation;
+        if (!navigation) {
+            return;
+        }
+
+        this.navigation = null;
+        this.navigated = navigation.moved;
+        if (navigation.brush) {
+            this.clearSelection();
+            if (navigation.moved) {
+                var x = Math.max(0, Math.min(this.width, this.getPlotPosition(event).x));
+                this.zoom.zoomToPixels(Math.max(0, Math.min(this.width, navigation.start)), x, this.width);
+            }
+        }
+    },
+
+    /*
+     * Zooms in or out about the position of the pointer.
+     */
+    zoomWheel: function(event) {
+        event.preventDefault();
+        var x = Math.max(0, Math.min(this.width, this.getPlotPosition(event).x));
+        this.zoom.zoomAt(TFFT.getWheelDirection(event) > 0 ? TFFT.ZOOM_STEP : 1.0 / TFFT.ZOOM_STEP, x, this.width);
+    },
+
+    resetZoom: function() {
+        this.zoom.reset();
+    },
+
+    renderZoomControls: function() {
+        this.$('.zoom-controls').html(this.zoomControlsTemplate({ zoom: this.zoom }));
+        return this;
+    }
+};
+
+/*
+ * The base of the charts: an SVG whose plot area sits inside margins, optionally over a
+ * canvas that the data is painted on.
+ *
+ * Options are `width` and `height`, the size of the chart margins included; `margin`, any
+ * of top, right, bottom and left to use in place of the chart's own; and `theme`, one of
+ * TFFT.THEMES.  Without a width, the chart fills the width of its element.  It cannot
+ * measure itself while it is hidden, in a tab that is not shown or before it is added to
+ * the page, so whoever shows it calls resize() once it can.
+ *
+ * Once created, `width` and `height` are those of the plot area.  A chart defines layout(),
+ * which draws whatever depends on its size, and render(), which draws its data.
+ */
+TFFT.ChartView = Backbone.View.extend({
+    className: 'graph',
+
+    margin: {top: 10, right: 10, bottom: 20, left: 40},
+
+    defaultWidth: 640,
+
+    defaultHeight: 480,
+
+    initialize: function(options) {
+        this.margin = _.extend({}, this.margin, options.margin);
+        this.theme = options.theme || TFFT.THEMES['Dark'];
+        $(this.el).addClass(this.theme.className);
+        this.setSize(options.width || this.defaultWidth, options.height || this.defaultHeight);
+    },
+
+    /*
+     * Adds the chart to an element: the SVG, with `chart` the plot area inside the margins
+     * and `plot` a group clipped to it, and optionally a canvas beneath the plot area.
+     *
+     * @param {Element} container The element to add the chart to
+     * @param {Object} options `plot`, the class of the clipped group, and `canvas`, either
+     *        true for a canvas with as many pixels as the screen shows, so that it stays
+     *        sharp on high density displays, or the number of pixels per unit
+     */
+    createChart: function(container, options) {
+        options = options || {};
+        if (options.canvas) {
+            this.canvas = $('<canvas class="plot-canvas"></canvas>').appendTo(container)[0];
+            this.canvas.pixelRatio = options.canvas === true ? (window.devicePixelRatio || 1) : options.canvas;
+            this.context = this.canvas.getContext('2d');
+        }
+
+        this.svg = d3.select(container)
+            .append("svg")
+            .attr("class", "chart");
+        this.chart = this.svg.append("g")
+            .attr("transform", "translate(" + this.margin.left + "," + this.margin.top + ")");
+        this.defs = this.chart.append("svg:defs");
+        this.clip = this.defs.append("svg:clipPath")
+            .attr("id", "plot-clip-" + this.cid)
+            .append("svg:rect");
+        this.plot = this.chart.append("g")
+            .attr("class", options.plot || "plot")
+            .attr("clip-path", "url(#plot-clip-" + this.cid + ")");
+
+        this.setSize(this.outerWidth, this.outerHeight);
+        return this;
+    },
+
+    /*
+     * Sets the size of the chart, margins included.
+     */
+    setSize: function(width, height) {
+        this.outerWidth = width;
+        this.outerHeight = height;
+        this.width = width - this.margin.left - this.margin.right;
+        this.height = height - this.margin.top - this.margin.bottom;
+
+        if (this.svg) {
+            this.svg.attr("width", width).attr("height", height);
+            this.clip.attr("width", this.width).attr("height", this.height);
+        }
+        if (this.canvas) {
+            this.sizeCanvas();
+        }
+    },
+
+    /*
+     * Fits the canvas to the plot area, which clears it.  Its context is scaled so that it
+     * is painted in the same units as the SVG.
+     */
+    sizeCanvas: function() {
+        var ratio = this.canvas.pixelRatio;
+        $(this.canvas)
+            .attr({ width: Math.round(this.width * ratio), height: Math.round(this.height * ratio) })
+            .css({ width: this.width, height: this.height, left: this.margin.left, top: this.margin.top });
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    },
+
+    /*
+     * @returns {Integer} The width the chart should have, or nothing if its width is fixed
+     *          or it cannot be measured
+     */
+    measure: function() {
+        if (this.options.width || !$(this.el).is(':visible')) {
+            return null;
+        }
+        return Math.floor($(this.el).width()) || null;
+    },
+
+    /*
+     * Fits the chart to the width of its element, laying it out and drawing it again if its
+     * size has changed.
+     */
+    resize: function() {
+        var width = this.measure();
+        if (width && width !== this.outerWidth) {
+            this.setSize(width, this.outerHeight);
+            this.layout();
+            this.render();
+        }
+        return this;
+    },
+
+    layout: function() {
+        return this;
+    },
+
+    render: function() {
+        return this;
+    },
+
+    /*
+     * Draws an axis of the chart in place of the one drawn before.
+     *
+     * @param {String} name 'x' for an axis running across the chart, 'y' for one running up it
+     * @param {d3.svg.axis} axis The axis
+     * @param {Float} offset How far down (x) or across (y) the plot area to draw the axis
+     * @param {String} unit A unit to label the axis with, if any
+     *
+     * @returns {d3.selection} The axis
+     */
+    renderAxis: function(name, axis, offset, unit) {
+        this.chart.select("g." + name).remove();
+
+        var g = this.chart.append("g")
+            .attr("class", name + " axis")
+            .attr("transform", name === 'x' ? "translate(0," + (offset || 0) + ")" : "translate(" + (offset || 0) + ",0)")
+            .call(axis);
+
+        if (unit) {
+            g.append("text")
+                .attr("class", "unit")
+                .attr("x", 4)
+                .attr("y", 8)
+                .text(unit);
+        }
+        return g;
+    },
+
+    /*
+     * Defines a gradient running from the top of a shape to its bottom.
+     *
+     * @param {String} name A name for the gradient, unique within the chart
+     * @param {Array} stops The colour stops of the gradient, as in TFFT.THEMES
+     *
+     * @returns {String} A fill that refers to the gradient
+     */
+    createGradient: function(name, stops) {
+        var id = name + "-" + this.cid;
+        var gradient = this.defs.append("svg:linearGradient")
+            .attr("id", id)
+            .attr("x1", "0%")
+            .attr("y1", "0%")
+            .attr("x2", "0%")
+            .attr("y2", "100%")
+            .attr("spreadMethod", "pad");
+
+        _.each(stops, function(stop) {
+            gradient.append("svg:stop")
+                .attr("offset", stop.offset * 100 + "%")
+                .attr("stop-color", stop.color)
+                .attr("stop-opacity", 1);
+        });
+        return "url(#" + id + ")";
+    },
+
+    /*
+     * Returns the position of a mouse event within the plot area.
+     */
+    getPlotPosition: function(event) {
+        var offset = $(this.svg.node()).offset();
+        return {
+            x: event.pageX - offset.left - this.margin.left,
+            y: event.pageY - offset.top - this.margin.top
+        };
+    },
+
+    /*
+     * Shades the part of the plot between two horizontal positions.
+     */
+    drawSelection: function(from, to) {
+        this.clearSelection();
+        this.chart.append("rect")
+            .attr("class", "selection")
+            .attr("x", Math.max(0, Math.min(from, to)))
+            .attr("y", 0)
+            .attr("width", Math.min(this.width, Math.max(from, to)) - Math.max(0, Math.min(from, to)))
+            .attr("height", this.height);
+    },
+
+    clearSelection: function() {
+        this.chart.select("rect.selection").remove();
+    },
+
+    /*
+     * @returns {String} The renderer in use, which charts with a canvas keep in their display
+     *          settings.  It is always SVG while exporting.
+     */
+    getRenderer: function() {
+        return this.exporting ? 'svg' : this.display.get('renderer');
+    },
+
+    /*
+     * Saves the chart as an SVG file named `exportName`, drawing in SVG for the purpose
+     * whatever is otherwise painted on the canvas.
+     */
+    exportChart: function() {
+        var painted = this.getRenderer() !== 'svg';
+        this.exporting = true;
+        if (painted) {
+            this.layout();
+        }
+        this.render();
+        TFFT.exportSVG(this.svg.node(), this.exportName);
+        this.exporting = false;
+        if (painted) {
+            this.layout();
+            this.render();
+        }
+    }
+});
+
+TFFT.SignalTransformGraphView = TFFT.ChartView.extend(_.extend({}, TFFT.ChartNavigation, {
+    className: 'graph spectrum-graph',
+
+    events: {
+        'change .spectrum-controls select': 'updateDisplay',
+        'change .spectrum-controls input': 'updateDisplay',
+        'change .spectrum-controls input[name="editing"]': 'toggleEditing',
+        'click .spectrum-controls .reset-edits': 'resetEdits',
+        'click .spectrum-controls .export-svg': 'exportChart',
+        'click .zoom-controls .reset-zoom': 'resetZoom',
+        'mousedown svg': 'handleMouseDown',
+        'mousemove svg': 'handleMouseMove',
+        'mouseup svg': 'handleMouseUp',
+        'mouseleave svg': 'handleMouseLeave',
+        'click svg': 'placeMarker',
+        'wheel svg': 'zoomWheel',
+        'mousewheel svg': 'zoomWheel',
+        'DOMMouseScroll svg': 'zoomWheel',
+        'pointerdown svg': 'handlePointerDown',
+        'pointermove svg': 'handlePointerMove',
+        'pointerup svg': 'handlePointerUp',
+        'pointercancel svg': 'handlePointerUp'
+    },
+
+    controlsTemplate: _.template($('#spectrum_controls_template').html()),
+
+    exportName: 'spectrum.svg',
+
+    initialize: function(options) {
+        TFFT.ChartView.prototype.initialize.call(this, options);
+
+        $(this.el).html('<div class="chart-controls spectrum-controls"></div>' +
+            '<div class="chart-controls zoom-controls"></div><div class="plot-area"></div>');
+        this.createChart(this.$('.plot-area')[0], { plot: 'bars', canvas: true });
+
+        // the bars are filled with the same gradient in SVG and on the canvas, where it
+        // spans one unit so that it can be stretched over each bar
+        this.barFill = this.createGradient("bars", this.theme.bars);
+        this.barGradient = this.context.createLinearGradient(0, 0, 0, 1);
+        _.each(this.theme.bars, function(stop) {
+            this.barGradient.addColorStop(stop.offset, stop.color);
+        }, this);
+
+        this.settings = options.settings || this.collection.settings;
+        this.display = options.display || new TFFT.SpectrumSettings();
+        this.editor = options.editor || new TFFT.SpectrumEditor({}, { signals: this.collection });
+        this.zoom = options.zoom || new TFFT.Zoom();
+        this.touches = {};
+        this.layout();
+        this.renderControls();
+        this.renderZoomControls();
+
+        this.zoom.on("change", this.position, this);
+        this.zoom.on("change", this.render, this);
+        this.zoom.on("change", this.renderZoomControls, this);
+
+        this.editor.on("edit change", this.render, this);
+        this.editor.on("change", this.renderControls, this);
+
+        this.collection.on("all", this.render, this);
+        this.settings.on("change:bufferSize change:sampleRate", this.layout, this);
+        this.settings.on("change", this.render, this);
+        // a zoomed range means something else on the other frequency scale
+        this.display.on("change:frequencyScale", this.zoom.reset, this.zoom);
+        this.display.on("change:frequencyScale change:bandFraction change:renderer", this.layout, this);
+        this.display.on("change", this.render, this);
+        this.display.on("change", this.renderControls, this);
+    },
+
+    /*
+     * Builds the frequency axis and one (empty) bar per displayed band.  Called again
+     * whenever the buffer size, sample rate or display settings change the number or
+     * width of the bands.
+     */
+    layout: function() {
+        this.plot.selectAll("rect").remove();
+        this.context.clearRect(0, 0, this.width, this.height);
+
+        this.bars = this.getBars();
+
+        // initialize rects 0 height to enable transform animation on first render
+        if (this.getRenderer() === 'svg') {
+            var that = this;
+            this.plot.selectAll("rect")
+                .data(this.bars)
+                .enter()
+                .append("rect")
+                .attr("y", function(d) { return that.height; })
+                .attr("height", 0);
+        }
+
+        return this.position();
+    },
+
+    /*
+     * Places the frequency axis and the bars along it for the range in view.
+     */
+    position: function() {
+        var x = this.x = this.zoom.apply(this.display.getFrequencyScale(this.settings, this.width));
+        this.renderAxis('x', this.display.getFrequencyAxis(x), this.height);
+
+        var gap = this.display.get('bandFraction') ? 1.0 : 0.0;
+        this.plot.selectAll("rect")
+            .attr("x", function(d) { return x(d.lower); })
+            .attr("width", function(d) { return Math.max(1.0, x(d.upper) - x(d.lower) - gap); });
+
+        if (this.crosshair) {
+            this.crosshair.setSize(this.width, this.height);
+            this.crosshair.reposition(function(point) { return x(point.frequency); });
+        } else {
+            this.crosshair = new TFFT.Crosshair(this.chart, this.width, this.height, this.plot.attr("clip-path"));
+        }
+
+        return this;
+    },
+
+    /*
+     * Returns the displayed bars, each spanning the bands of the transform from `from`
+     * up to (but not including) `to`, and the frequencies from `lower` to `upper`.
+     */
+    getBars: function() {
+        var bandwidth = this.settings.getBandwidth();
+        var fraction = this.display.get('bandFraction');
+
+        if (!fraction) {
+            // each bar is centred on its band, and the first starts at 0 Hz
+            return _.map(_.range(this.settings.getBandCount()), function(i) {
+                return { from: i, to: i + 1, lower: Math.max(0, (i - 0.5) * bandwidth), upper: (i + 0.5) * bandwidth };
+            });
+        }
+
+        // a band of the transform belongs to the octave band containing its centre frequency
+        var bars = [];
+        var octaveBands = TFFT.getFractionalOctaveBands(fraction, bandwidth, this.settings.getNyquistFrequency());
+        _.each(octaveBands, function(band) {
+            var from = Math.ceil(band.lower / bandwidth);
+            var to = Math.ceil(band.upper / bandwidth);
+            if (to > from) {
+                bars.push(_.extend({ from: from, to: to }, band));
+            }
+        });
+        return bars;
+    },
+
+    /*
+     * Returns the level of each displayed bar in the selected units.  The magnitude of a
+     * group of bands is the amplitude of a tone carrying the same power.
+     *
+     * @param {Float32Array} spectrum Magnitudes of the bands of the transform
+     * @param {Float} scale The band power scale of the transform (see
+     *        TFFT.AnalysisSettings.getBandPowerScale), if not that of the analysis settings
+     * @param {Float} gain The amplitude scale of the transform (see
+     *        TFFT.AnalysisSettings.getAmplitudeScale), if not that of the analysis settings
+     */
+    getLevels: function(spectrum, scale, gain) {
+        var grouped = this.display.get('bandFraction') > 0;
+        var length = this.settings.get('bufferSize');
+        if (scale === undefined) {
+            scale = this.settings.getBandPowerScale(length);
+        }
+        if (gain === undefined) {
+            gain = this.settings.getAmplitudeScale(length);
+        }
+
+        return _.map(this.bars, function(bar) {
+            var squares = 0.0;
+            for (var i = bar.from; i < bar.to; i++) {
+                squares += spectrum[i] * spectrum[i];
+            }
+            var magnitude = grouped ? Math.sqrt(squares * scale) : spectrum[bar.from] * gain;
+            return this.toLevel(magnitude, squares * scale, this.getBarWidth(bar));
+        }, this);
+    },
+
+    /*
+     * @returns {Float} The width (in Hz) of the bands a bar spans; that of the first band,
+     *          which is drawn from 0 Hz, is the same as that of any other
+     */
+    getBarWidth: function(bar) {
+        return this.display.get('bandFraction') > 0 ? bar.upper - bar.lower : this.settings.getBandwidth();
+    },
+
+    /*
+     * Expresses a band, or a group of bands, in the selected units.
+     *
+     * @param {Float} magnitude The amplitude of the tone the bands represent
+     * @param {Float} power The sum of the squared band magnitudes times the band power scale
+     * @param {Float} width The width of the bands (in Hz)
+     *
+     * @returns {Float} The level
+     */
+    toLevel: function(magnitude, power, width) {
+        switch (this.display.get('levelScale')) {
+            case 'magnitude':
+                return magnitude;
+            case 'power':
+                return magnitude * magnitude / 2.0;
+            case 'psd':
+                return 10.0 * Math.log10(power / 2.0 / width);
+            default:
+                return Math.toDecibels(magnitude);
+        }
+    },
+
+    /*
+     * The inverse of getLevels for one bar: returns the magnitude each band of the bar
+     * must have for the bar to show the given level.
+     *
+     * @param {Float} level A level in the selected units
+     * @param {Object} bar One of the bars returned by getBars
+     * @param {Float} scale The band power scale of the transform
+     * @param {Float} gain The amplitude scale of the transform
+     */
+    getMagnitudeForLevel: function(level, bar, scale, gain) {
+        var grouped = this.display.get('bandFraction') > 0;
+        var magnitude, squares;
+
+        switch (this.display.get('levelScale')) {
+            case 'magnitude':
+                magnitude = Math.max(0.0, level);
+                break;
+            case 'power':
+                magnitude = Math.sqrt(Math.max(0.0, 2.0 * level));
+                break;
+            case 'psd':
+                magnitude = Math.sqrt(2.0 * this.getBarWidth(bar) * Math.pow(10, level / 10.0) / scale);
+                break;
+            default:
+                magnitude = Math.pow(10, level / 20.0);
+                break;
+        }
+
+        squares = grouped ? magnitude * magnitude / scale : magnitude * magnitude / (gain * gain);
+        return Math.sqrt(squares / (bar.to - bar.from));
+    },
+
+    renderControls: function() {
+        this.$('.spectrum-controls').html(this.controlsTemplate({
+            frequencyScales: TFFT.FREQUENCY_SCALES,
+            bandFractions: TFFT.BAND_FRACTIONS,
+            levelScales: TFFT.LEVEL_SCALES,
+            peakCounts: TFFT.PEAK_COUNTS,
+            renderers: TFFT.RENDERERS,
+            display: this.display,
+            editor: this.editor }));
+        return this;
+    },
+
+    toggleEditing: function() {
+        this.editor.set('enabled', this.$('.spectrum-controls input[name="editing"]').is(':checked'));
+    },
+
+    resetEdits: function() {
+        this.editor.reset();
+    },
+
+    /*
+     * @returns {Object} The bar drawn at a horizontal position in the plot, if any
+     */
+    getBarAt: function(x) {
+        var scale = this.x;
+        return _.find(this.bars, function(bar) {
+            return scale(bar.lower) <= x && x < Math.max(scale(bar.upper), scale(bar.lower) + 1);
+        });
+    },
+
+    /*
+     * While editing, dragging sets the level of each bar passed over to the level under
+     * the pointer, and dragging with shift held silences the range dragged across.
+     */
+    startEdit: function(event) {
+        event.preventDefault();
+        this.drag = { silence: event.shiftKey, start: this.getPlotPosition(event).x };
+        this.continueEdit(event);
+    },
+
+    continueEdit: function(event) {
+        if (!this.drag) {
+            return;
+        }
+
+        var position = this.getPlotPosition(event);
+        if (this.drag.silence) {
+            this.drawSelection(this.drag.start, position.x);
+            return;
+        }
+
+        var bar = this.getBarAt(position.x);
+        if (bar) {
+            var level = this.y.invert(Math.max(0, Math.min(this.height, position.y)));
+            this.editor.setMagnitudes(bar.from, bar.to, this.getMagnitudeForLevel(level, bar, 1.0, 1.0));
+        }
+    },
+
+    /*
+     * Dragging edits the spectrum while editing is enabled, and otherwise pans the
+     * range in view, or with shift held selects a range to zoom to.
+     */
+    handleMouseDown: function(event) {
+        this.navigated = false;
+        if (this.editor.get('enabled')) {
+            this.startEdit(event);
+        } else {
+            this.startNavigation(event);
+        }
+    },
+
+    handleMouseMove: function(event) {
+        this.continueEdit(event);
+        this.continueNavigation(event);
+        this.moveCursor(event);
+    },
+
+    handleMouseUp: function(event) {
+        this.endEdit(event);
+        this.endNavigation(event);
+    },
+
+    handleMouseLeave: function(event) {
+        this.endEdit(event);
+        this.endNavigation(event);
+        this.crosshair.hide();
+    },
+
+    /*
+     * Gestures made with pointer events.  A handle is dragged by any pointer: across to
+     * change the frequency of its signal, up and down to change its amplitude.  Elsewhere
+     * touches are followed until lifted: one finger pans, two pinch to zoom about the point
+     * between them, and one held still adds a signal at the frequency under it.  The mouse
+     * is left to the mouse events, which touches, whose default is prevented, do not raise.
+     */
+    handlePointerDown: function(event) {
+        var pointer = event.originalEvent || event;
+        var handle = $(event.target).closest('.signal-handle');
+
+        if (handle.length) {
+            event.preventDefault();
+            this.capturePointer(pointer);
+            this.handleDrag = { pointerId: pointer.pointerId, signal: d3.select(handle[0]).datum() };
+            return;
+        }
+        if (pointer.pointerType === 'mouse' || this.editor.get('enabled')) {
+            return;
+        }
+
+        event.preventDefault();
+        this.capturePointer(pointer);
+        var position = this.getPlotPosition(pointer);
+        this.touches[pointer.pointerId] = { start: position, last: position, moved: false };
+
+        this.cancelLongPress();
+        if (_.size(this.touches) === 1) {
+            this.longPress = window.setTimeout(_.bind(this.addSignalAt, this, position.x), TFFT.LONG_PRESS_DURATION);
+        } else {
+            this.pinch = this.getPinch();
+        }
+    },
+
+    handlePointerMove: function(event) {
+        var pointer = event.originalEvent || event;
+        var position = this.getPlotPosition(pointer);
+
+        if (this.handleDrag && this.handleDrag.pointerId === pointer.pointerId) {
+            event.preventDefault();
+            this.moveHandle(this.handleDrag.signal, position);
+            return;
+        }
+
+        var touch = this.touches[pointer.pointerId];
+        if (!touch) {
+            return;
+        }
+        event.preventDefault();
+
+        var last = touch.last;
+        touch.last = position;
+        if (!touch.moved && Math.abs(position.x - touch.start.x) + Math.abs(position.y - touch.start.y) > TFFT.TOUCH_SLOP) {
+            touch.moved = true;
+            this.cancelLongPress();
+        }
+
+        if (this.pinch) {
+            // the plot is scaled about the point that was between the fingers, then follows them
+            var pinch = this.getPinch();
+            this.zoom.zoomAt(pinch.distance / this.pinch.distance, this.pinch.centre, this.width);
+            this.zoom.panBy(pinch.centre - this.pinch.centre, this.width);
+            this.pinch = pinch;
+        } else if (touch.moved) {
+            this.zoom.panBy(position.x - last.x, this.width);
+        }
+    },
+
+    handlePointerUp: function(event) {
+        var pointer = event.originalEvent || event;
+
+        if (this.handleDrag && this.handleDrag.pointerId === pointer.pointerId) {
+            // the click that follows is not a marker
+            this.handleDrag = null;
+            this.navigated = true;
+            return;
+        }
+
+        if (this.touches[pointer.pointerId]) {
+            delete this.touches[pointer.pointerId];
+            this.cancelLongPress();
+            this.pinch = _.size(this.touches) > 1 ? this.getPinch() : null;
+        }
+    },
+
+    /*
+     * Keeps sending the events of a pointer to the chart while it is dragged outside it.
+     */
+    capturePointer: function(pointer) {
+        var svg = this.svg.node();
+        if (svg.setPointerCapture && pointer.pointerId !== undefined) {
+            try {
+                svg.setPointerCapture(pointer.pointerId);
+            } catch (error) {
+                // synthetic pointers cannot be captured
+            }
+        }
+    },
+
+    /*
+     * @returns {Object} The horizontal distance between the first two touches and the
+     *          position midway between them
+     */
+    getPinch: function() {
+        var touches = _.first(_.values(this.touches), 2);
+        return {
+            distance: Math.max(Math.abs(touches[0].last.x - touches[1].last.x), TFFT.TOUCH_SLOP),
+            centre: Math.max(0, Math.min(this.width, (touches[0].last.x + touches[1].last.x) / 2.0))
+        };
+    },
+
+    cancelLongPress: function() {
+        if (this.longPress) {
+            window.clearTimeout(this.longPress);
+            this.longPress = null;
+        }
+    },
+
+    /*
+     * Asks for a signal to be added at the frequency at a position on the plot, by
+     * triggering "add:signal" with the frequency.
+     */
+    addSignalAt: function(x) {
+        this.longPress = null;
+        var frequency = this.x.invert(Math.max(0, Math.min(this.width, x)));
+        this.trigger('add:signal', Math.round(frequency * 10) / 10);
+    },
+
+    /*
+     * The level at which a sine of the given amplitude is shown, taking the power of a
+     * sine to fall in a single band of the transform.
+     *
+     * @param {Float} amplitude The amplitude of the sine
+     *
+     * @returns {Float} Its level in the selected units
+     */
+    getToneLevel: function(amplitude) {
+        switch (this.display.get('levelScale')) {
+            case 'magnitude':
+                return amplitude;
+            case 'power':
+                return amplitude * amplitude / 2.0;
+            case 'psd':
+                return 10.0 * Math.log10(amplitude * amplitude / 2.0 / this.settings.getBandwidth());
+            default:
+                return Math.toDecibels(amplitude);
+        }
+    },
+
+    /*
+     * The inverse of getToneLevel.
+     */
+    getToneAmplitude: function(level) {
+        switch (this.display.get('levelScale')) {
+            case 'magnitude':
+                return Math.max(0.0, level);
+            case 'power':
+                return Math.sqrt(Math.max(0.0, 2.0 * level));
+            case 'psd':
+                return Math.sqrt(2.0 * this.settings.getBandwidth() * Math.pow(10, level / 10.0));
+            default:
+                return Math.pow(10, level / 20.0);
+        }
+    },
+
+    /*
+     * Sets the frequency and amplitude of a signal to those at a position on the plot.
+     */
+    moveHandle: function(signal, position) {
+        var frequency = this.x.invert(Math.max(0, Math.min(this.width, position.x)));
+        var level = this.y.invert(Math.max(0, Math.min(this.height, position.y)));
+        signal.set({
+            frequency: Math.round(Math.min(frequency, this.settings.getNyquistFrequency()) * 10) / 10,
+            amplitude: Math.round(this.getToneAmplitude(level) * 1000) / 1000
+        });
+    },
+
+    /*
+     * @returns {Object} The bar under a mouse event, with its position and level, if any
+     */
+    getCursorPoint: function(event) {
+        var bar = this.getBarAt(this.getPlotPosition(event).x);
+        if (!bar || !this.levels) {
+            return null;
+        }
+        var index = _.indexOf(this.bars, bar);
+        var frequency = bar.centre || TFFT.getBandFrequency(bar.from);
+        return {
+            bar: bar,
+            frequency: frequency,
+            level: this.levels[index],
+            x: this.x(frequency),
+            y: this.y(this.levels[index])
+        };
+    },
+
+    formatLevel: function(level) {
+        var unit = TFFT.LEVEL_UNITS[this.display.get('levelScale')];
+        return d3.format(".2f")(level) + (unit ? " " + unit : "");
+    },
+
+    /*
+     * Shows the band under the pointer: its index, centre frequency, level and the
+     * nearest note.
+     */
+    moveCursor: function(event) {
+        var point = this.getCursorPoint(event);
+        if (!point) {
+            this.crosshair.hide();
+            return;
+        }
+        var bar = point.bar;
+        this.crosshair.show(point.x, point.y, [
+            bar.to - bar.from > 1 ? "Bins " + bar.from + "\u2013" + (bar.to - 1) : "Bin " + bar.from,
+            d3.format(".1f")(point.frequency) + " Hz",
+            this.formatLevel(point.level),
+            TFFT.getNoteName(point.frequency)
+        ]);
+    },
+
+    /*
+     * Places a delta marker on the band under the pointer.  Clicks made while editing
+     * the spectrum are edits rather than markers.
+     */
+    placeMarker: function(event) {
+        var point = this.getCursorPoint(event);
+        if (!point || this.editor.get('enabled') || this.navigated) {
+            return;
+        }
+        // a difference of decibel levels is a plain ratio in dB
+        var levelScale = this.display.get('levelScale');
+        var unit = levelScale === 'dbfs' || levelScale === 'psd' ? " dB" : "";
+        this.crosshair.mark(point.x, point.y, point, function(first, second) {
+            return [
+                "\u0394f " + d3.format(".1f")(second.frequency - first.frequency) + " Hz",
+                "\u0394 " + d3.format(".2f")(second.level - first.level) + unit
+            ];
+        });
+    },
+
+    endEdit: function(event) {
+        if (!this.drag) {
+            return;
+        }
+
+        if (this.drag.silence) {
+            this.clearSelection();
+            var left = Math.min(this.drag.start, this.getPlotPosition(event).x);
+            var right = Math.max(this.drag.start, this.getPlotPosition(event).x);
+            var x = this.x;
+            var bars = _.filter(this.bars, function(bar) { return x(bar.upper) > left && x(bar.lower) < right; });
+            if (bars.length) {
+                this.editor.setMagnitudes(_.first(bars).from, _.last(bars).to, 0.0);
+            }
+        }
+        this.drag = null;
+    },
+
+    updateDisplay: function() {
+        // switching units starts from the default range of the new units
+        var levelScale = this.$('.spectrum-controls select[name="levelScale"]').val();
+        var range = levelScale === this.display.get('levelScale') ?
+            [parseFloat(this.$('.spectrum-controls input[name="floor"]').val()),
+             parseFloat(this.$('.spectrum-controls input[name="ceiling"]').val())] :
+            TFFT.LEVEL_RANGES[levelScale];
+
+        this.display.set({
+            frequencyScale: this.$('.spectrum-controls input[name="frequencyScale"]:checked').val(),
+            bandFraction: parseInt(this.$('.spectrum-controls select[name="bandFraction"]').val()),
+            levelScale: levelScale,
+            floor: range[0],
+            ceiling: range[1],
+            peakCount: parseInt(this.$('.spectrum-controls select[name="peakCount"]').val()),
+            renderer: this.$('.spectrum-controls select[name="renderer"]').val()
+        });
+    },
+
+    render: function() {
+        // edits are made to the unwindowed transform, whose band power and amplitude scales are one
+        var editing = this.editor.get('enabled');
+        var fft = editing ? this.editor.getTransform() : this.collection.getFFT();
+        var length = this.settings.get('bufferSize');
+        var scale = editing ? 1.0 : this.settings.getBandPowerScale(length);
+        var gain = editing ? 1.0 : this.settings.getAmplitudeScale(length);
+        var spectrum = this.levels = this.getLevels(fft.spectrum, scale, gain);
+
+        // a fixed range keeps levels comparable from one render to the next
+        var y = this.y = d3.scale.linear()
+            .domain([this.display.get('floor'), this.display.get('ceiling')])
+            .range([this.height, 0])
+            .clamp(true);
+
+        var yAxis = d3.svg.axis()
+            .scale(y)
+            .orient("left");
+
+        this.renderAxis('y', yAxis, 0, TFFT.LEVEL_UNITS[this.display.get('levelScale')]);
+
+        if (this.getRenderer() === 'canvas') {
+            this.paintBars(spectrum);
+        } else {
+            // live input redraws every frame, faster than the bars could animate, and an
+            // exported chart must be complete at once
+            var live = this.collection.any(function(signal) { return signal.isLive() && signal.get('active'); });
+            var rects = this.plot.selectAll("rect");
+            if (!live && !this.exporting) {
+                rects = rects.transition();
+            }
+
+            // the rects stay bound to their bars, which position() needs, so levels go by index
+            var that = this;
+            rects.attr("style", "fill:" + this.barFill + ";")
+                .attr("y", function(d, i) { return y(spectrum[i]) - 0.5; })
+                .attr("height", function(d, i) { return that.height - y(spectrum[i]); });
+        }
+
+        this.renderPeaks(fft, spectrum, scale, gain);
+        this.renderHandles();
+
+       return this; 
+    },
+
+    /*
+     * Paints the bars on the canvas.  Bars outside the range in view are skipped, and
+     * the gradient is stretched over each bar so that they look as they do in SVG.
+     *
+     * @param {Array} levels The levels of the bars
+     */
+    paintBars: function(levels) {
+        var context = this.context;
+        var ratio = this.canvas.pixelRatio;
+        var x = this.x, y = this.y;
+        var width = this.width, height = this.height;
+        var gap = this.display.get('bandFraction') ? 1.0 : 0.0;
+        var bars = this.bars;
+        var left, right, top;
+
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = this.barGradient;
+
+        for (var i = 0; i < bars.length; i++) {
+            left = x(bars[i].lower);
+            right = x(bars[i].upper);
+            top = y(levels[i]);
+            if (right < 0 || left > width || top >= height) {
+                continue;
+            }
+            context.setTransform(ratio, 0, 0, ratio * (height - top), ratio * left, ratio * top);
+            context.fillRect(0, 0, Math.max(1.0, right - left - gap), 1);
+        }
+
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    },
+
+    /*
+     * Marks the largest peaks of the spectrum with their frequency and level, and labels
+     * the members of a harmonic series with their harmonic number.  Each marker sits on
+     * top of the bar that contains its peak, and its level is in the units of the bars.
+     *
+     * @param {FFT} fft The transform being shown, the edited one while editing
+     * @param {Array} levels The levels of the bars
+     * @param {Float} scale The band power scale the levels were found with
+     * @param {Float} gain The amplitude scale the levels were found with
+     */
+    renderPeaks: function(fft, levels, scale, gain) {
+        this.plot.select("g.peaks").remove();
+
+        var count = this.display.get('peakCount');
+        if (!count) {
+            return;
+        }
+
+        var bars = this.bars;
+        var getBarIndex = function(band) {
+            for (var i = 0; i < bars.length; i++) {
+                if (bars[i].from <= band && band < bars[i].to) {
+                    return i;
+                }
+            }
+            return -1;
+        };
+
+        // grouped bars start at the lowest full band, so peaks below it have no bar
+        var bandwidth = this.settings.getBandwidth();
+        var peaks = _.filter(TFFT.findPeaks(fft.spectrum, bandwidth, { count: count }),
+            function(peak) { return getBarIndex(peak.band) >= 0; });
+
+        var x = this.x, y = this.y, that = this;
+        var markers = this.plot.append("g")
+            .attr("class", "peaks")
+            .selectAll("g.peak")
+            .data(peaks)
+            .enter().append("g")
+            .attr("class", function(peak) {
+                return "peak" + (peak.harmonic === 1 ? " fundamental" : peak.harmonic > 1 ? " harmonic" : "");
+            })
+            .attr("transform", function(peak) {
+                // keep the label inside the plot when the bar reaches the top
+                return "translate(" + x(peak.frequency) + "," + Math.max(y(levels[getBarIndex(peak.band)]), 32) + ")";
+            });
+
+        markers.append("path")
+            .attr("d", "M0,-2L-4,-8L4,-8Z");
+
+        markers.append("text")
+            .attr("class", "frequency")
+            .attr("y", -22)
+            .attr("text-anchor", "middle")
+            .text(function(peak) { return d3.format(".1f")(peak.frequency) + " Hz"; });
+
+        markers.append("text")
+            .attr("class", "level")
+            .attr("y", -10)
+            .attr("text-anchor", "middle")
+            .text(function(peak) {
+                var level = that.toLevel(peak.magnitude * gain, peak.magnitude * peak.magnitude * scale, bandwidth);
+                var label = that.formatLevel(level);
+                if (peak.harmonic === 1) {
+                    label += " \u00b7 f0";
+                } else if (peak.harmonic > 1) {
+                    label += " \u00b7 H" + peak.harmonic;
+                }
+                return label;
+            });
+    },
+
+    /*
+     * Draws a handle on the fundamental of each signal that has a frequency, at the level
+     * of its amplitude.  Handles are hidden while the spectrum is being edited, when
+     * dragging sets the levels of bars instead.
+     */
+    renderHandles: function() {
+        this.plot.select("g.handles").remove();
+        if (this.editor.get('enabled')) {
+            return;
+        }
+
+        // the sines of a decomposed signal follow it, so they have no handles of their own
+        var tones = this.collection.filter(function(signal) {
+            return signal.has('frequency') && !signal.get('source');
+        });
+        var x = this.x, y = this.y, that = this;
+        var handles = this.plot.append("g")
+            .attr("class", "handles")
+            .selectAll("g.signal-handle")
+            .data(tones)
+            .enter().append("g")
+            .attr("class", "signal-handle")
+            .attr("transform", function(signal) {
+                return "translate(" + x(signal.get('frequency')) + "," + y(that.getToneLevel(signal.get('amplitude'))) + ")";
+            });
+
+        handles.append("circle")
+            .attr("r", 9);
+
+        handles.append("text")
+            .attr("y", 3)
+            .attr("text-anchor", "middle")
+            .text(function(signal) { return signal.id; });
+    }
+
+}));
+
+/*
+ * Removes the jumps of a full turn that appear where phase wraps around from 180° to -180°,
+ * so that the phase of successive bands can be followed as a continuous curve.
+ *
+ * @param {Array} phases Phases in degrees from -180 to 180
+ *
+ * @returns {Array} The unwrapped phases in degrees
+ */
+TFFT.unwrapPhase = function(phases) {
+    var turns = 0.0;
+    return _.map(phases, function(phase, i) {
+        if (i > 0) {
+            var step = phase - phases[i - 1];
+            if (step > 180.0) {
+                turns -= 360.0;
+            } else if (step < -180.0) {
+                turns += 360.0;
+            }
+        }
+        return phase + turns;
+    });
+};
+
+/*
+ * How phase is displayed.  The phase of a band carrying next to no signal is just the
+ * phase of rounding noise, so bands more than `threshold` dB below the strongest band
+ * are hidden.
+ */
+TFFT.PhaseSettings = Backbone.Model.extend({
+    defaults: {
+        unwrap: false,
+        threshold: -60
+    },
+
+    validate: function(attributes) {
+        if (!(attributes.threshold <= 0)) {
+            return "The threshold must be at or below the strongest band (0 dB)";
+        }
+    },
+
+    /*
+     * @param {FFT} fft A forward transform
+     *
+     * @returns {Array} The indices of the bands strong enough for their phase to be shown
+     */
+    getVisibleBands: function(fft) {
+        var spectrum = fft.spectrum;
+        var minimum = d3.max(spectrum) * Math.pow(10, this.get('threshold') / 20.0);
+        return _.filter(_.range(spectrum.length), function(i) {
+            return spectrum[i] > 0 && spectrum[i] >= minimum;
+        });
+    }
+});
+
+/*
+ * The phase of each band of the summed signal, plotted against the same frequency axis
+ * as the magnitude spectrum.
+ */
+TFFT.PhaseGraphView = TFFT.ChartView.extend({
+    className: 'graph phase-graph',
+
+    events: {
+        'change .phase-controls input': 'updatePhaseSettings'
+    },
+
+    controlsTemplate: _.template($('#phase_controls_template').html()),
+
+    defaultHeight: 240,
+
+    initialize: function(options) {
+        TFFT.ChartView.prototype.initialize.call(this, options);
+
+        this.settings = options.settings || this.collection.settings;
+        this.display = options.display || new TFFT.SpectrumSettings();
+        this.zoom = options.zoom || new TFFT.Zoom();
+        this.model = options.model || new TFFT.PhaseSettings();
+
+        $(this.el).html('<div class="chart-controls phase-controls"></div>');
+        this.createChart(this.el, { plot: 'points' });
+
+        this.layout();
+        this.renderControls();
+
+        this.collection.on("all", this.render, this);
+        this.settings.on("change:bufferSize change:sampleRate", this.layout, this);
+        this.settings.on("change", this.render, this);
+        this.display.on("change:frequencyScale", this.layout, this);
+        this.display.on("change:frequencyScale", this.render, this);
+        this.zoom.on("change", this.layout, this);
+        this.zoom.on("change", this.render, this);
+        this.model.on("change", this.render, this);
+        this.model.on("change", this.renderControls, this);
+    },
+
+    /*
+     * Builds the frequency axis.
+     */
+    layout: function() {
+        this.x = this.zoom.apply(this.display.getFrequencyScale(this.settings, this.width));
+        this.renderAxis('x', this.display.getFrequencyAxis(this.x), this.height);
+        return this;
+    },
+
+    renderControls: function() {
+        this.$('.phase-controls').html(this.controlsTemplate({ phase: this.model }));
+        return this;
+    },
+
+    render: function() {
+        this.plot.selectAll("circle").remove();
+
+        var fft = this.collection.getFFT();
+        var phases = _.map(_.range(fft.spectrum.length), function(i) { return TFFT.getPhase(fft, i); });
+        if (this.model.get('unwrap')) {
+            phases = TFFT.unwrapPhase(phases);
+        }
+
+        var settings = this.settings;
+        var domain = this.x.domain();
+        var points = _.map(this.model.getVisibleBands(fft), function(i) {
+            return { frequency: settings.getBandFrequency(i), phase: phases[i] };
+        });
+        points = _.filter(points, function(d) { return d.frequency >= domain[0] && d.frequency <= domain[1]; });
+
+        var extent = this.model.get('unwrap') && points.length ?
+            d3.extent(points, function(d) { return d.phase; }) : [-180, 180];
+
+        var y = d3.scale.linear()
+            .domain(extent)
+            .range([this.height, 0])
+            .nice();
+
+        var yAxis = d3.svg.axis()
+            .scale(y)
+            .orient("left");
+
+        this.renderAxis('y', yAxis, 0, "degrees");
+
+        var x = this.x;
+        this.plot.selectAll("circle")
+            .data(points)
+            .enter()
+            .append("circle")
+            .attr("class", "phase")
+            .attr("cx", function(d) { return x(d.frequency); })
+            .attr("cy", function(d) { return y(d.phase); })
+            .attr("r", 1.5);
+
+        return this;
+    },
+
+    updatePhaseSettings: function() {
+        this.model.set({
+            unwrap: this.$('.phase-controls input[name="unwrap"]').is(':checked'),
+            threshold: parseFloat(this.$('.phase-controls input[name="threshold"]').val())
+        });
+    }
+});
+
+/*
+ * Plots each band of the summed signal as a point in the complex plane, its distance from
+ * the origin being its magnitude and its angle its phase.  Points are coloured from low
+ * to high frequency.
+ */
+TFFT.ComplexPlaneView = TFFT.ChartView.extend({
+    className: 'graph complex-plane',
+
+    margin: {top: 30, right: 30, bottom: 30, left: 30},
+
+    initialize: function(options) {
+        var size = options.size || 300;
+        TFFT.ChartView.prototype.initialize.call(this, _.extend({}, options, { width: size, height: size }));
+
+        this.settings = options.settings || this.collection.settings;
+        this.model = options.model || new TFFT.PhaseSettings();
+
+        this.createChart(this.el, { plot: 'points' });
+
+        this.collection.on("all", this.render, this);
+        this.settings.on("change", this.render, this);
+        this.model.on("change", this.render, this);
+    },
+
+    /*
+     * The plane stays square, so it keeps its size.
+     */
+    measure: function() {
+        return null;
+    },
+
+    render: function() {
+        this.plot.selectAll("circle").remove();
+
+        var fft = this.collection.getFFT();
+        var scale = 2.0 / fft.bufferSize;
+        var points = _.map(this.model.getVisibleBands(fft), function(i) {
+            return { band: i, real: fft.real[i] * scale, imag: fft.imag[i] * scale };
+        });
+
+        var limit = 1.1 * (d3.max(points, function(d) { return Math.sqrt(d.real * d.real + d.imag * d.imag); }) || 1.0);
+
+        var x = d3.scale.linear()
+            .domain([-limit, limit])
+            .range([0, this.width]);
+
+        var y = d3.scale.linear()
+            .domain([-limit, limit])
+            .range([this.height, 0]);
+
+        var color = d3.scale.linear()
+            .domain([0, fft.spectrum.length])
+            .range(this.theme.bands);
+
+        // axes cross at the origin
+        this.renderAxis('x', d3.svg.axis().scale(x).orient("bottom").ticks(5), y(0));
+        this.renderAxis('y', d3.svg.axis().scale(y).orient("left").ticks(5), x(0));
+
+        this.plot.selectAll("circle")
+            .data(points)
+            .enter()
+            .append("circle")
+            .attr("cx", function(d) { return x(d.real); })
+            .attr("cy", function(d) { return y(d.imag); })
+            .attr("r", 2)
+            .style("fill", function(d) { return color(d.band); });
+
+        return this;
+    }
+});
+
+/*
+ * How the waveform is displayed
+ */
+TFFT.WaveformSettings = Backbone.Model.extend({
+    defaults: {
+        renderer: 'canvas'
+    },
+
+    validate: function(attributes) {
+        if (!_.include(_.values(TFFT.RENDERERS), attributes.renderer)) {
+            return "Unknown renderer: " + attributes.renderer;
+        }
+    }
+});
+
+TFFT.SignalGraphView = TFFT.ChartView.extend(_.extend({}, TFFT.ChartNavigation, {
+
+    events: {
+        'change .waveform-controls select': 'updateDisplay',
+        'click .waveform-controls .export-svg': 'exportChart',
+        'click .zoom-controls .reset-zoom': 'resetZoom',
+        'mousedown svg': 'startNavigation',
+        'mousemove svg': 'handleMouseMove',
+        'mouseup svg': 'endNavigation',
+        'mouseleave svg': 'handleMouseLeave',
+        'click svg': 'placeMarker',
+        'wheel svg': 'zoomWheel',
+        'mousewheel svg': 'zoomWheel',
+        'DOMMouseScroll svg': 'zoomWheel'
+    },
+
+    controlsTemplate: _.template($('#waveform_controls_template').html()),
+
+    margin: {top: 10, right: 10, bottom: 20, left: 50},
+
+    exportName: 'waveform.svg',
+
+    initialize: function(options) {
+        TFFT.ChartView.prototype.initialize.call(this, options);
+
+        $(this.el).html('<div class="chart-controls waveform-controls"></div>' +
+            '<div class="chart-controls zoom-controls"></div><div class="plot-area"></div>');
+        this.createChart(this.$('.plot-area')[0], { plot: 'lines', canvas: true });
+
+        this.settings = options.settings || this.collection.settings;
+        this.editor = options.editor;
+        this.zoom = options.zoom || new TFFT.Zoom();
+        this.display = options.display || new TFFT.WaveformSettings();
+        this.layout();
+        this.renderControls();
+        this.renderZoomControls();
+
+        this.display.on("change", this.render, this);
+        this.display.on("change", this.renderControls, this);
+
+        this.zoom.on("change", this.layout, this);
+        this.zoom.on("change", this.render, this);
+        this.zoom.on("change", this.renderZoomControls, this);
+
+        this.collection.on("all", this.render, this);
+        this.settings.on("change:bufferSize change:sampleRate", this.layout, this);
+        this.settings.on("change:bufferSize change:sampleRate", this.render, this);
+        if (this.editor) {
+            this.editor.on("edit change", this.render, this);
+        }
+    },
+
+    /*
+     * Builds the time axis, which spans the duration of one buffer or the part of it
+     * in view.
+     */
+    layout: function() {
+        var bufferSize = this.settings.get('bufferSize');
+
+        this.time = d3.scale.linear()
+            .domain([0, bufferSize])
+            .range([0, this.settings.getDuration()]);
+
+        this.x = this.zoom.apply(d3.scale.linear()
+            .domain([0, this.time(bufferSize)])
+            .rangeRound([0, this.width]));
+
+        var xAxis = d3.svg.axis()
+            .scale(this.x)
+            .orient("bottom");
+
+        this.renderAxis('x', xAxis, this.height / 2.0);
+
+        var x = this.x;
+        if (this.crosshair) {
+            this.crosshair.setSize(this.width, this.height);
+            this.crosshair.reposition(function(point) { return x(point.time); });
+        } else {
+            this.crosshair = new TFFT.Crosshair(this.chart, this.width, this.height, this.plot.attr("clip-path"));
+        }
+
+        return this;
+    },
+
+    /*
+     * @returns {Object} The sample under a mouse event, with its position, if any
+     */
+    getCursorPoint: function(event) {
+        if (!this.signal) {
+            return null;
+        }
+        var index = Math.round(this.time.invert(this.x.invert(this.getPlotPosition(event).x)));
+        if (index < 0 || index >= this.signal.length) {
+            return null;
+        }
+        var time = this.time(index);
+        return {
+            index: index,
+            time: time,
+            value: this.signal[index],
+            x: this.x(time),
+            y: this.y(this.signal[index])
+        };
+    },
+
+    /*
+     * Shows the sample under the pointer: its time, index and value.
+     */
+    moveCursor: function(event) {
+        var point = this.getCursorPoint(event);
+        if (!point) {
+            this.crosshair.hide();
+            return;
+        }
+        this.crosshair.show(point.x, point.y, [
+            d3.format(".3f")(point.time * 1000) + " ms",
+            "Sample " + point.index,
+            "Value " + d3.format(".4f")(point.value)
+        ]);
+    },
+
+    handleMouseMove: function(event) {
+        this.continueNavigation(event);
+        this.moveCursor(event);
+    },
+
+    handleMouseLeave: function(event) {
+        this.endNavigation(event);
+        this.crosshair.hide();
+    },
+
+    /*
+     * Places a delta marker on the sample under the pointer.  The time between two
+     * markers is also shown as the frequency it is the period of.
+     */
+    placeMarker: function(event) {
+        var point = this.getCursorPoint(event);
+        if (!point || this.navigated) {
+            return;
+        }
+        this.crosshair.mark(point.x, point.y, point, function(first, second) {
+            var interval = second.time - first.time;
+            return [
+                "\u0394t " + d3.format(".3f")(interval * 1000) + " ms" +
+                    (interval ? " (" + d3.format(".1f")(Math.abs(1.0 / interval)) + " Hz)" : ""),
+                "\u0394 " + (second.index - first.index) + " samples",
+                "\u0394 " + d3.format(".4f")(second.value - first.value)
+            ];
+        });
+    },
+
+    render: function() {
+        // remove the previous plot, if any
+        this.plot.selectAll("path.line").remove();
+        this.context.clearRect(0, 0, this.width, this.height);
+
+        var signal = this.signal = this.collection.getTotalSignal();
+
+        // while the spectrum is being edited, the signal resynthesised from it is drawn over the original
+        var resynthesized = this.editor && this.editor.get('enabled') ? this.editor.getSignal() : null;
+        // while a signal is decomposed, the sum with the signal itself shows what its sines approach
+        var ideal = this.collection.isDecomposed() ? this.collection.getTotalSignal(true) : null;
+        var extent = d3.extent(signal);
+        _.each(_.compact([resynthesized, ideal]), function(other) {
+            extent = d3.extent(extent.concat(d3.extent(other)));
+        });
+
+        var y = this.y = d3.scale.linear()
+            .domain(extent)
+            .range([this.height, 0]);
+
+        var yAxis = d3.svg.axis()
+            .scale(y)
+            .orient("left")
+            .tickFormat(d3.format('.02f'));
+
+        var that = this;
+        var line = d3.svg.line()
+            .x(function(d, i) { return that.x(that.time(i)); })
+            .y(function(d) { return y(d); });
+
+        this.renderAxis('y', yAxis);
+
+        if (this.getRenderer() === 'canvas') {
+            if (ideal) {
+                this.paintLine(ideal, this.theme.ideal, [4, 4]);
+            }
+            this.paintLine(signal, this.theme.line);
+            if (resynthesized) {
+                this.paintLine(resynthesized, this.theme.resynthesized);
+            }
+            return this;
+        }
+
+        if (ideal) {
+            this.plot.append("path")
+                .datum(ideal)
+                .attr("class", "line ideal")
+                .attr("d", line);
+        }
+
+        this.plot.append("path")
+            .datum(signal)
+            .attr("class", "line")
+            .attr("d", line);
+
+        if (resynthesized) {
+            this.plot.append("path")
+                .datum(resynthesized)
+                .attr("class", "line resynthesized")
+                .attr("d", line);
+        }
+
+        return this;
+    },
+
+    /*
+     * Paints the part of a signal in view on the canvas.
+     *
+     * @param {Float32Array} signal The signal
+     * @param {String} color The colour of the line
+     * @param {Array} dashes Lengths of the dashes and gaps of a dashed line
+     */
+    paintLine: function(signal, color, dashes) {
+        var context = this.context;
+        var x = this.x, y = this.y, time = this.time;
+        var domain = x.domain();
+        var first = Math.max(0, Math.floor(time.invert(domain[0])));
+        var last = Math.min(signal.length - 1, Math.ceil(time.invert(domain[1])));
+
+        context.beginPath();
+        for (var i = first; i <= last; i++) {
+            if (i === first) {
+                context.moveTo(x(time(i)), y(signal[i]));
+            } else {
+                context.lineTo(x(time(i)), y(signal[i]));
+            }
+        }
+        context.strokeStyle = color;
+        context.lineWidth = 1;
+        if (context.setLineDash) {
+            context.setLineDash(dashes || []);
+        }
+        context.stroke();
+    },
+
+    renderControls: function() {
+        this.$('.waveform-controls').html(this.controlsTemplate({
+            renderers: TFFT.RENDERERS,
+            display: this.display }));
+        return this;
+    },
+
+    updateDisplay: function() {
+        this.display.set({
+            renderer: this.$('.waveform-controls select[name="renderer"]').val()
+        });
+    }
+
+}));
+
+/*
+ * Calls a function before the next repaint, falling back to a timer at about 60 frames
+ * per second where the browser has no requestAnimationFrame.
+ */
+TFFT.requestAnimationFrame = function(callback) {
+    var request = window.requestAnimationFrame ||
+        window.webkitRequestAnimationFrame ||
+        window.mozRequestAnimationFrame ||
+        function(callback) { return window.setTimeout(callback, 1000 / 60); };
+    return request.call(window, callback);
+};
+
+/*
+ * Colour maps for intensity displays, each a list of colour stops spread evenly from the
+ * lowest to the highest level.
+ */
+TFFT.COLOR_MAPS = {
+    'Orchid': ['#000000', '#2E0854', '#9932CC', '#DA70D6', '#FFFFFF'],
+    'Grayscale': ['#000000', '#FFFFFF'],
+    'Hot': ['#000000', '#FF0000', '#FFFF00', '#FFFFFF'],
+    'Jet': ['#00007F', '#0000FF', '#00FFFF', '#FFFF00', '#FF0000', '#7F0000'],
+    'Viridis': ['#440154', '#3B528B', '#21908C', '#5DC963', '#FDE725']
+};
+
+/*
+ * Expands a colour map into a lookup table of 256 RGB triples.
+ *
+ * @param {Array} stops The colour stops of the map
+ *
+ * @returns {Uint8Array} Red, green and blue components of each of the 256 levels
+ */
+TFFT.getColorTable = function(stops) {
+    var scale = d3.scale.linear()
+        .domain(_.map(stops, function(stop, i) { return i / (stops.length - 1); }))
+        .range(stops)
+        .interpolate(d3.interpolateRgb);
+
+    var table = new Uint8Array(256 * 3);
+    for (var i = 0; i < 256; i++) {
+        var color = d3.rgb(scale(i / 255));
+        table[i * 3] = color.r;
+        table[i * 3 + 1] = color.g;
+        table[i * 3 + 2] = color.b;
+    }
+    return table;
+};
+
+/*
+ * Settings of the spectrogram display.  Levels are in dB relative to a full-scale sine.
+ */
+TFFT.SpectrogramSettings = Backbone.Model.extend({
+    defaults: {
+        hopSize: 512,
+        colorMap: 'Orchid',
+        minDecibels: -100,
+        maxDecibels: 0,
+        running: true
+    },
+
+    validate: function(attributes) {
+        if (!(attributes.hopSize >= 1)) {
+            return "Hop size must be at least one sample";
+        }
+        if (!_.has(TFFT.COLOR_MAPS, attributes.colorMap)) {
+            return "Unknown colour map: " + attributes.colorMap;
+        }
+        if (!(attributes.minDecibels < attributes.maxDecibels)) {
+            return "The dB floor must be below the dB ceiling";
+        }
+    }
+});
+
+TFFT.HOP_SIZES = [64, 128, 256, 512, 1024, 2048, 4096, 8192];
+
+/*
+ * A scrolling time × frequency display of the short-time Fourier transform of the summed
+ * signal.  Each transform is painted as one column at the right edge of a canvas, with
+ * older columns scrolling off to the left at the rate the signal would play back.
+ */
+TFFT.SpectrogramView = TFFT.ChartView.extend({
+    className: 'graph spectrogram',
+
+    events: {
+        'change select': 'updateSettings',
+        'change input': 'updateSettings',
+        'click .toggle-running': 'toggleRunning',
+        'click .export-svg': 'exportChart'
+    },
+
+    template: _.template($('#spectrogram_controls_template').html()),
+
+    margin: {top: 10, right: 10, bottom: 10, left: 50},
+
+    initialize: function(options) {
+        TFFT.ChartView.prototype.initialize.call(this, options);
+
+        this.settings = options.settings || this.collection.settings;
+        this.model = options.model || new TFFT.SpectrogramSettings();
+
+        // columns are painted pixel by pixel, so the canvas has one pixel per unit
+        $(this.el).html('<div class="chart-controls spectrogram-controls"></div><div class="plot-area"></div>');
+        this.createChart(this.$('.plot-area')[0], { canvas: 1 });
+
+        this.layout();
+        this.updateColorTable();
+        this.reset();
+        this.renderControls();
+
+        // only changes to the sum restart the transform: live input arrives through the
+        // stream already, and restarting would lose its place
+        this.collection.on("add remove reset change load", this.reset, this);
+        this.collection.on("add remove reset change", this.start, this);
+        this.settings.on("change:bufferSize change:sampleRate", this.layout, this);
+        this.settings.on("change", this.reset, this);
+        this.model.on("change:hopSize", this.reset, this);
+        this.model.on("change:colorMap", this.updateColorTable, this);
+        this.model.on("change", this.renderControls, this);
+        this.model.on("change:running", this.start, this);
+
+        this.tick = _.bind(this.tick, this);
+        this.start();
+    },
+
+    /*
+     * Builds the frequency axis, which runs up the left of the canvas, and the column that
+     * is painted into the canvas.  A canvas that has been resized starts out blank.
+     */
+    layout: function() {
+        var y = d3.scale.linear()
+            .domain([0, this.settings.getNyquistFrequency()])
+            .range([this.height, 0]);
+
+        var yAxis = d3.svg.axis()
+            .scale(y)
+            .orient("left");
+
+        this.renderAxis('y', yAxis);
+        this.column = this.context.createImageData(1, this.height);
+
+        return this;
+    },
+
+    /*
+     * Saves the chart as an SVG file.  The spectrogram is a picture to begin with, so it
+     * is saved as an image inside the SVG.
+     */
+    exportChart: function() {
+        var canvas = this.canvas, width = this.width, height = this.height;
+        TFFT.exportSVG(this.svg.node(), 'spectrogram.svg', function(copy) {
+            var image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+            image.setAttribute('width', width);
+            image.setAttribute('height', height);
+            image.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', canvas.toDataURL('image/png'));
+            $(copy).children('g').first().prepend(image);
+        });
+    },
+
+    updateColorTable: function() {
+        this.colorTable = TFFT.getColorTable(TFFT.COLOR_MAPS[this.model.get('colorMap')]);
+    },
+
+    /*
+     * Restarts the transform from the current signals and settings.  Columns already
+     * painted are kept, so the change can be seen scrolling past.
+     */
+    reset: function() {
+        this.stft = new TFFT.ShortTimeFourierTransform(
+            this.collection.createStream(),
+            this.settings,
+            this.model.get('hopSize'));
+        this.lag = 0.0;
+    },
+
+    renderControls: function() {
+        this.$('.spectrogram-controls').html(this.template({
+            hopSizes: TFFT.HOP_SIZES,
+            colorMaps: TFFT.COLOR_MAPS,
+            spectrogram: this.model }));
+        return this;
+    },
+
+    /*
+     * @returns {Boolean} True if the spectrogram is running, shown, and has signals to show
+     */
+    isAnimated: function() {
+        return this.model.get('running') && $(this.el).is(':visible') &&
+            this.collection.getAudibleSignals().length > 0;
+    },
+
+    /*
+     * Starts the animation loop if it has stopped and there is something to paint.  The
+     * loop stops by itself once there is not, so this is called whenever that may change.
+     */
+    start: function() {
+        if (!this.animating && this.isAnimated()) {
+            this.animating = true;
+            this.lastTick = null;
+            TFFT.requestAnimationFrame(this.tick);
+        }
+    },
+
+    /*
+     * Animation loop.  Paints as many columns as hops of signal have elapsed since the
+     * last frame, so that the display scrolls in real time, but never more than a few
+     * per frame so that a slow machine does not fall ever further behind.
+     */
+    tick: function() {
+        if (!this.isAnimated()) {
+            this.animating = false;
+            return;
+        }
+
+        var now = new Date().getTime();
+        var elapsed = this.lastTick ? (now - this.lastTick) / 1000.0 : 0.0;
+        this.lastTick = now;
+
+        this.lag += elapsed;
+        var hopDuration = this.stft.getHopDuration();
+        var columns = Math.min(Math.floor(this.lag / hopDuration), 8);
+        this.lag = columns === 8 ? 0.0 : this.lag - columns * hopDuration;
+        for (var i = 0; i < columns; i++) {
+            this.paintColumn(this.stft.next().spectrum);
+        }
+
+        TFFT.requestAnimationFrame(this.tick);
+    },
+
+    /*
+     * Scrolls the canvas left by one pixel and paints a spectrum into the rightmost column.
+     * Each pixel shows the loudest band among those that fall into it.
+     *
+     * @param {Float32Array} spectrum Magnitudes of the frequency bands
+     */
+    paintColumn: function(spectrum) {
+        var context = this.context;
+        var pixels = this.column.data;
+        var colorTable = this.colorTable;
+        var height = this.height;
+        var bands = spectrum.length;
+        var minDecibels = this.model.get('minDecibels');
+        var range = this.model.get('maxDecibels') - minDecibels;
+        var from, to, magnitude, level, color, j;
+
+        for (var y = 0; y < height; y++) {
+            from = Math.floor((height - 1 - y) * bands / height);
+            to = Math.max(from + 1, Math.floor((height - y) * bands / height));
+            magnitude = 0.0;
+            for (j = from; j < to; j++) {
+                magnitude = Math.max(magnitude, spectrum[j]);
+            }
+
+            level = (Math.toDecibels(magnitude) - minDecibels) / range;
+            color = Math.round(Math.max(0.0, Math.min(1.0, level)) * 255) * 3;
+            pixels[y * 4] = colorTable[color];
+            pixels[y * 4 + 1] = colorTable[color + 1];
+            pixels[y * 4 + 2] = colorTable[color + 2];
+            pixels[y * 4 + 3] = 255;
+        }
+
+        context.drawImage(this.canvas, -1, 0);
+        context.putImageData(this.column, this.width - 1, 0);
+    },
+
+    toggleRunning: function() {
+        this.model.set('running', !this.model.get('running'));
+    },
+
+    updateSettings: function() {
+        this.model.set({
+            hopSize: parseInt(this.$('select[name="hopSize"]').val()),
+            colorMap: this.$('select[name="colorMap"]').val(),
+            minDecibels: parseFloat(this.$('input[name="minDecibels"]').val()),
+            maxDecibels: parseFloat(this.$('input[name="maxDecibels"]').val())
+        });
+    }
+});
+
+/*
+ * A small pair of charts showing the waveform and magnitude spectrum of a single signal,
+ * or of the sum of all signals when given a collection instead of a model.
+ */
+TFFT.SignalTraceView = Backbone.View.extend({
+    className: 'signal-trace',
+
+    initialize: function(options) {
+        this.width = options.width || 200;
+        this.height = options.height || 80;
+        this.settings = options.settings || (this.collection || this.model.collection).settings;
+
+        $(this.el).append($('<div class="signal-trace-label"></div>').text(options.label || ''));
+        this.waveformChart = this.createChart('waveform');
+        this.spectrumChart = this.createChart('spectrum');
+
+        // live input changes without changing its attributes
+        if (this.model) {
+            this.model.on('change capture', this.render, this);
+        } else {
+            this.collection.on('all', this.render, this);
+        }
+        this.settings.on('change', this.render, this);
+    },
+
+    createChart: function(className) {
+        return d3.select(this.el)
+            .append("svg")
+            .attr("class", "chart " + className)
+            .attr("width", this.width)
+            .attr("height", this.height);
+    },
+
+    render: function() {
+        var signal, fft;
+        if (this.model) {
+            signal = this.model.getSignal(this.settings);
+            fft = this.model.getFFT(this.settings);
+        } else {
+            signal = this.collection.getTotalSignal();
+            fft = this.collection.getFFT();
+        }
+
+        this.renderWaveform(signal);
+        this.renderSpectrum(fft.spectrum);
+
+        return this;
+    },
+
+    renderWaveform: function(signal) {
+        var limit = Math.max(Math.abs(d3.min(signal)), Math.abs(d3.max(signal)), 1e-6);
+
+        var x = d3.scale.linear()
+            .domain([0, signal.length - 1])
+            .range([0, this.width]);
+
+        var y = d3.scale.linear()
+            .domain([-limit, limit])
+            .range([this.height - 1, 1]);
+
+        var line = d3.svg.line()
+            .x(function(d, i) { return x(i); })
+            .y(function(d) { return y(d); });
+
+        this.waveformChart.select("path.line").remove();
+        this.waveformChart.append("path")
+            .datum(signal)
+            .attr("class", "line")
+            .attr("d", line);
+    },
+
+    renderSpectrum: function(spectrum) {
+        // levels are shown over a fixed 100 dB range below the (at least full scale) peak
+        var decibels = _.map(spectrum, Math.toDecibels);
+        var ceiling = Math.max(d3.max(decibels), 0.0);
+        var floor = ceiling - 100.0;
+
+        var x = d3.scale.linear()
+            .domain([0, spectrum.length - 1])
+            .range([0, this.width]);
+
+        var y = d3.scale.linear()
+            .domain([floor, ceiling])
+            .range([this.height, 0])
+            .clamp(true);
+
+        var that = this;
+        var area = d3.svg.area()
+            .x(function(d, i) { return x(i); })
+            .y0(function(d) { return that.height; })
+            .y1(function(d) { return y(d); });
+
+        this.spectrumChart.select("path.area").remove();
+        this.spectrumChart.append("path")
+            .datum(decibels)
+            .attr("class", "area")
+            .attr("d", area);
+    },
+
+    /*
+     * Removes the view and stops listening to its model, collection and settings.
+     */
+    dispose: function() {
+        if (this.model) {
+            this.model.off('change capture', this.render, this);
+        } else {
+            this.collection.off('all', this.render, this);
+        }
+        this.settings.off('change', this.render, this);
+        this.remove();
+    }
+});
+
+/*
+ * Lays out a trace of the sum of the signals above a trace of every individual signal, so
+ * that the composition of the input signal can be compared with its transform beside it.
+ */
+TFFT.SignalCompositionView = Backbone.View.extend({
+    className: 'signal-composition',
+
+    initialize: function(options) {
+        this.traceWidth = options.traceWidth || 200;
+        this.traceHeight = options.traceHeight || 60;
+        this.traces = {};
+
+        $(this.el).html('<div class="signal-sum"></div><div class="signal-components"></div>');
+
+        this.sumView = new TFFT.SignalTraceView({
+            collection: this.collection,
+            label: 'Sum of all signals',
+            width: this.traceWidth,
+            height: this.traceHeight * 2
+        });
+        this.$('.signal-sum').append(this.sumView.el);
+
+        this.collection.each(this.addTrace, this);
+        this.collection.on('add', this.addTrace, this);
+        this.collection.on('remove', this.removeTrace, this);
+        this.collection.on('reset', this.resetTraces, this);
+        this.collection.on('move', this.placeTrace, this);
+    },
+
+    addTrace: function(signal) {
+        this.traces[signal.cid] = new TFFT.SignalTraceView({
+            model: signal,
+            settings: this.collection.settings,
+            label: 'Signal #' + signal.id,
+            width: this.traceWidth,
+            height: this.traceHeight
+        });
+        this.placeTrace(signal);
+        this.traces[signal.cid].render();
+    },
+
+    /*
+     * Puts the trace of a signal in the same place in the list as the signal has in the
+     * collection, before the trace of the next signal that has one.
+     */
+    placeTrace: function(signal) {
+        var trace = this.traces[signal.cid];
+        var models = this.collection.models;
+        if (!trace) {
+            return;
+        }
+
+        for (var i = this.collection.indexOf(signal) + 1; i < models.length; i++) {
+            if (this.traces[models[i].cid]) {
+                $(this.traces[models[i].cid].el).before(trace.el);
+                return;
+            }
+        }
+        this.$('.signal-components').append(trace.el);
+    },
+
+    removeTrace: function(signal) {
+        if (this.traces[signal.cid]) {
+            this.traces[signal.cid].dispose();
+            delete this.traces[signal.cid];
+        }
+    },
+
+    resetTraces: function() {
+        _.each(_.values(this.traces), function(trace) { trace.dispose(); });
+        this.traces = {};
+        this.collection.each(this.addTrace, this);
+    },
+
+    render: function() {
+        _.each(_.values(this.traces), function(trace) { trace.render(); });
+        this.sumView.render();
+        return this;
+    }
+});
+
+TFFT.WAVEFORMS = {
+    'Sine': DSP.SINE,
+    'Triangle': DSP.TRIANGLE,
+    'Saw': DSP.SAW,
+    'Square': DSP.SQUARE,
+    'Pulse': DSP.PULSE,
+    'Noise': DSP.NOISE
+};
+
+/*
+ * The most sines a signal may be decomposed into, and the number it starts with.
+ */
+TFFT.MAX_HARMONICS = 50;
+TFFT.DEFAULT_HARMONICS = 5;
+
+/*
+ * Milliseconds between the sines added while a series is played.
+ */
+TFFT.SERIES_STEP_DURATION = 250;
+
+/*
+ * The controls in the header of every signal: mute, solo, delete, duplicate for signals
+ * that can be, and a grip to drag the signal to another place in the list.  Views mixing
+ * these in add controlEvents to their events and call renderActions from render.
+ */
+TFFT.SignalControls = {
+    actionsTemplate: _.template($('#signal_actions_template').html()),
+
+    controlEvents: {
+        'click .toggle-mute': 'toggleMute',
+        'click .toggle-solo': 'toggleSolo',
+        'click .duplicate-signal': 'duplicateSignal',
+        'click .delete-signal': 'deleteSignal',
+        'pointerdown .signal-grip': 'startReorder',
+        'pointermove .signal-grip': 'continueReorder',
+        'pointerup .signal-grip': 'endReorder',
+        'pointercancel .signal-grip': 'endReorder'
+    },
+
+    duplicable: false,
+
+    renderActions: function() {
+        this.$('.ui-widget-header').prepend(this.actionsTemplate({
+            duplicable: this.duplicable,
+            signal: this.model }));
+        $(this.el).toggleClass('muted', !!this.model.get('muted')).data('signal', this.model);
+    },
+
+    toggleMute: function() {
+        this.model.set('muted', !this.model.get('muted'));
+    },
+
+    toggleSolo: function() {
+        this.model.set('solo', !this.model.get('solo'));
+    },
+
+    /*
+     * Asks for a copy of the signal.  Triggers "duplicate" with the model, since only the
+     * application can number the copy.
+     */
+    duplicateSignal: function() {
+        this.trigger('duplicate', this.model);
+    },
+
+    deleteSignal: function() {
+        this.model.destroy();
+    },
+
+    /*
+     * Dragging the grip moves the signal among the others as it goes, and moves it in the
+     * collection once it is let go.
+     */
+    startReorder: function(event) {
+        var pointer = event.originalEvent || event;
+        event.preventDefault();
+        if (event.currentTarget.setPointerCapture) {
+            event.currentTarget.setPointerCapture(pointer.pointerId);
+        }
+        this.reordering = true;
+        $(this.el).addClass('reordering');
+    },
+
+    continueReorder: function(event) {
+        if (!this.reordering) {
+            return;
+        }
+
+        var pointer = event.originalEvent || event;
+        var target = $(document.elementFromPoint(pointer.clientX, pointer.clientY))
+            .closest('.signal-control').not('.new');
+        if (!target.length || target[0] === this.el) {
+            return;
+        }
+        if ($(this.el).index() < target.index()) {
+            target.after(this.el);
+        } else {
+            target.before(this.el);
+        }
+    },
+
+    endReorder: function() {
+        if (!this.reordering) {
+            return;
+        }
+
+        this.reordering = false;
+        $(this.el).removeClass('reordering');
+
+        // not every signal has a view, so the signal is put before that of the next view
+        var collection = this.model.collection;
+        if (collection) {
+            var next = $(this.el).nextAll('.signal-control').first().data('signal');
+            var index = next ? collection.indexOf(next) : collection.length;
+            collection.move(this.model, index > collection.indexOf(this.model) ? index - 1 : index);
+        }
+    }
+};
+
+TFFT.SignalView = Backbone.View.extend(_.extend({}, TFFT.SignalControls, {
+    tagName: 'div',
+
+    className: 'signal-control ui-widget',
+
+    events: _.extend({
+        'change input': 'updateSignal',
+        'click .decompose': 'decompose',
+        'click .recompose': 'recompose',
+        'click .play-series': 'playSeries'
+    }, TFFT.SignalControls.controlEvents),
+
+    duplicable: true,
+
+    template: _.template($('#signal_view_template').html()),
+
+    initialize: function(options) {
+        if (!options.model) {
+            this.model = new TFFT.SignalModel();
+        }
+        this.settings = options.settings || this.model.getSettings();
+
+        this.model.on('change', this.render, this);
+        this.model.on('remove', this.remove, this);
+        this.settings.on('change:sampleRate', this.render, this);
+
+        this.stepSeries = _.bind(this.stepSeries, this);
+    },
+
+    /*
+     * Stops following the signal and the settings once the view is taken off the page,
+     * which Backbone leaves to the view.
+     */
+    remove: function() {
+        window.clearTimeout(this.playing);
+        this.model.off('change', this.render, this);
+        this.model.off('remove', this.remove, this);
+        this.settings.off('change:sampleRate', this.render, this);
+        return Backbone.View.prototype.remove.call(this);
+    },
+
+    render: function() {
+        $(this.el).html(this.template({
+            id: this.model.id,
+            waveforms: TFFT.WAVEFORMS,
+            sines: this.model.get('harmonics') && this.model.getFourierSeries(this.model.get('harmonics'), this.settings).length,
+            maxHarmonics: this.model.getMaxHarmonics(this.settings),
+            playing: !!this.playing,
+            signal: this.model }));
+        this.renderActions();
+        this.$('.frequency-slider').slider({
+            value: this.model.get('frequency'),
+            min: 0,
+            max: this.settings.getNyquistFrequency(),
+            slide: this.handleSliderChange('frequency')
+        });
+        this.$('.amplitude-slider').slider({
+            value: this.model.get('amplitude'),
+            min: 0,
+            max: 100,
+            slide: this.handleSliderChange('amplitude')
+        });
+        this.$('.phase-slider').slider({
+            value: this.model.get('phase'),
+            min: -180,
+            max: 180,
+            slide: this.handleSliderChange('phase')
+        });
+        this.$('.dc-offset-slider').slider({
+            value: this.model.get('dcOffset'),
+            min: -100,
+            max: 100,
+            step: 0.1,
+            slide: this.handleSliderChange('dcOffset')
+        });
+        this.$('.duty-cycle').toggle(this.model.get('waveForm') === DSP.PULSE);
+        this.renderReadout();
+        this.$('.duty-cycle-slider').slider({
+            value: this.model.get('dutyCycle'),
+            min: 0.01,
+            max: 0.99,
+            step: 0.01,
+            slide: this.handleSliderChange('dutyCycle')
+        });
+        this.$('.series').toggle(this.model.isDecomposable());
+        this.$('.harmonics-slider').slider({
+            value: Math.min(this.model.get('harmonics'), this.model.getMaxHarmonics(this.settings)),
+            min: 1,
+            max: Math.max(1, this.model.getMaxHarmonics(this.settings)),
+            slide: this.handleSliderChange('harmonics')
+        });
+        return this;
+    },
+
+    /*
+     * Replaces the signal with the sines of its Fourier series; the signal itself is still
+     * drawn over the waveform of the sum, to compare them.
+     */
+    decompose: function() {
+        this.model.set('harmonics', TFFT.DEFAULT_HARMONICS);
+    },
+
+    recompose: function() {
+        this.model.set('harmonics', 0);
+    },
+
+    /*
+     * Plays the series: starting from the fundamental alone, adds a sine at a time until
+     * as many as fit below the Nyquist frequency are summed.  The overshoot of the Gibbs
+     * phenomenon can be seen to narrow towards the jumps without getting any smaller.
+     * Clicking again stops it where it is.
+     */
+    playSeries: function() {
+        if (this.playing) {
+            this.stopSeries();
+            return;
+        }
+        this.playing = window.setTimeout(this.stepSeries, TFFT.SERIES_STEP_DURATION);
+        this.model.set('harmonics', 1);
+        this.render();
+    },
+
+    stepSeries: function() {
+        var harmonics = this.model.get('harmonics');
+        if (!harmonics || harmonics >= this.model.getMaxHarmonics(this.settings)) {
+            this.stopSeries();
+            return;
+        }
+        this.playing = window.setTimeout(this.stepSeries, TFFT.SERIES_STEP_DURATION);
+        this.model.set('harmonics', harmonics + 1);
+    },
+
+    stopSeries: function() {
+        window.clearTimeout(this.playing);
+        this.playing = null;
+        this.render();
+    },
+
+    /*
+     * Shows the magnitude and phase of the strongest band of this signal's own spectrum.
+     * Changing the phase of a signal changes the phase reported here, but not its magnitude.
+     * Phase is measured against a cosine, so a sine starting at 0° reads about -90°.
+     */
+    renderReadout: function() {
+        var fft = this.model.getFFT(this.settings);
+        var peak = 1;
+        for (var i = 2; i < fft.spectrum.length; i++) {
+            if (fft.spectrum[i] > fft.spectrum[peak]) {
+                peak = i;
+            }
+        }
+
+        this.$('.spectrum-readout').text(
+            'Peak ' + TFFT.formatFrequency(this.settings.getBandFrequency(peak)) + 'Hz: ' +
+            'magnitude ' + d3.format('.3f')(fft.spectrum[peak]) + ', ' +
+            'phase ' + d3.format('.1f')(TFFT.getPhase(fft, peak)) + '°');
+    },
+
+    handleSliderChange: function(attribute) {
+        return _.debounce(_.bind(function(event, ui) {
+            this.model.set(attribute, ui.value);
+        }, this),
+        100);
+    },
+
+    updateSignal: function() {
+        this.model.set({
+            frequency: parseFloat(this.$('input[name="frequency"]').val()),
+            amplitude: parseFloat(this.$('input[name="amplitude"]').val()),
+            phase: parseFloat(this.$('input[name="phase"]').val()),
+            dcOffset: parseFloat(this.$('input[name="dcOffset"]').val()),
+            dutyCycle: parseFloat(this.$('input[name="dutyCycle"]').val()),
+            bandLimited: this.$('input[name="bandLimited"]').is(':checked'),
+            waveForm: parseInt(this.$('input[name^="waveform_"]:checked').val()),
+            harmonics: this.model.get('harmonics') &&
+                Math.max(1, Math.min(TFFT.MAX_HARMONICS, parseInt(this.$('input[name="harmonics"]').val()) || 1))
+        });
+    }
+}));
+
+TFFT.SampleSignalView = Backbone.View.extend(_.extend({}, TFFT.SignalControls, {
+    tagName: 'div',
+
+    className: 'signal-control sample-signal-control ui-widget',
+
+    events: _.extend({
+        'change input': 'updateSignal'
+    }, TFFT.SignalControls.controlEvents),
+
+    template: _.template($('#sample_signal_view_template').html()),
+
+    initialize: function(options) {
+        this.settings = options.settings || this.model.getSettings();
+
+        this.model.on('change', this.render, this);
+        this.model.on('error', this.showError, this);
+        this.model.on('remove', this.remove, this);
+        this.settings.on('change:bufferSize change:sampleRate', this.render, this);
+    },
+
+    /*
+     * Stops following the sample and the settings once the view is taken off the page.
+     */
+    remove: function() {
+        this.model.off('change', this.render, this);
+        this.model.off('error', this.showError, this);
+        this.model.off('remove', this.remove, this);
+        this.settings.off('change:bufferSize change:sampleRate', this.render, this);
+        return Backbone.View.prototype.remove.call(this);
+    },
+
+    render: function() {
+        $(this.el).html(this.template({
+            id: this.model.id,
+            signal: this.model }));
+        this.renderActions();
+        this.$('.offset-slider').slider({
+            value: this.model.get('offset'),
+            min: 0,
+            max: this.getMaximumOffset(),
+            step: 0.001,
+            slide: this.handleSliderChange('offset')
+        });
         this.$('.amplitude-slider').slider({
             value: this.model.get('amplitude'),
             min: 0,
@@ -508,6 +4909,13 @@ TFFT.SignalView = Backbone.View.extend({
         return this;
     },
 
+    /*
+     * The analysis buffer may start anywhere that still leaves a full buffer of the clip.
+     */
+    getMaximumOffset: function() {
+        return Math.max(0, this.model.get('duration') - this.settings.getDuration());
+    },
+
     handleSliderChange: function(attribute) {
         return _.debounce(_.bind(function(event, ui) {
             this.model.set(attribute, ui.value);
@@ -515,39 +4923,441 @@ TFFT.SignalView = Backbone.View.extend({
         100);
     },
 
+    showError: function(model, message) {
+        this.$('.error').text(message);
+    },
+
     updateSignal: function() {
         this.model.set({
-            frequency: parseFloat(this.$('input[name="frequency"]').val()),
-            amplitude: parseFloat(this.$('input[name="amplitude"]').val()),
-            waveForm: parseInt(this.$('input:checked').val())
+            offset: parseFloat(this.$('input[name="offset"]').val()),
+            amplitude: parseFloat(this.$('input[name="amplitude"]').val())
+        });
+    }
+}));
+
+TFFT.MicrophoneSignalView = Backbone.View.extend(_.extend({}, TFFT.SignalControls, {
+    tagName: 'div',
+
+    className: 'signal-control microphone-signal-control ui-widget',
+
+    events: _.extend({
+        'change input': 'updateSignal',
+        'click .toggle-input': 'toggleInput',
+        'click .toggle-freeze': 'toggleFreeze'
+    }, TFFT.SignalControls.controlEvents),
+
+    template: _.template($('#microphone_signal_view_template').html()),
+
+    initialize: function(options) {
+        this.model.on('change', this.render, this);
+        this.model.on('error', this.showError, this);
+        this.model.on('remove', this.remove, this);
+    },
+
+    render: function() {
+        $(this.el).html(this.template({
+            id: this.model.id,
+            signal: this.model }));
+        this.renderActions();
+        this.$('.amplitude-slider').slider({
+            value: this.model.get('amplitude'),
+            min: 0,
+            max: 10,
+            step: 0.1,
+            slide: this.handleSliderChange('amplitude')
+        });
+        return this;
+    },
+
+    handleSliderChange: function(attribute) {
+        return _.debounce(_.bind(function(event, ui) {
+            this.model.set(attribute, ui.value);
+        }, this),
+        100);
+    },
+
+    showError: function(model, message) {
+        this.$('.error').text(message);
+    },
+
+    toggleInput: function() {
+        if (this.model.get('active')) {
+            this.model.stop();
+        } else {
+            this.model.start();
+        }
+    },
+
+    toggleFreeze: function() {
+        this.model.set('frozen', !this.model.get('frozen'));
+    },
+
+    updateSignal: function() {
+        this.model.set({
+            amplitude: parseFloat(this.$('input[name="amplitude"]').val())
+        });
+    }
+}));
+
+TFFT.AnalysisView = Backbone.View.extend({
+    tagName: 'div',
+
+    className: 'analysis-control ui-widget',
+
+    events: {
+        'change select': 'updateSettings',
+        'change input': 'updateSettings'
+    },
+
+    template: _.template($('#analysis_view_template').html()),
+
+    initialize: function(options) {
+        this.model.on('change', this.render, this);
+    },
+
+    render: function() {
+        $(this.el).html(this.template({
+            bufferSizes: TFFT.BUFFER_SIZES,
+            sampleRates: TFFT.SAMPLE_RATES,
+            windows: TFFT.WINDOWS,
+            corrections: TFFT.WINDOW_CORRECTIONS,
+            settings: this.model }));
+        this.$('.gauss-alpha').toggle(this.model.get('windowFunction') === DSP.GAUSS);
+        this.$('.gauss-alpha-slider').slider({
+            value: this.model.get('gaussAlpha'),
+            min: 0.05,
+            max: 1.0,
+            step: 0.05,
+            slide: this.handleSliderChange('gaussAlpha')
+        });
+        return this;
+    },
+
+    handleSliderChange: function(attribute) {
+        return _.debounce(_.bind(function(event, ui) {
+            this.model.set(attribute, ui.value);
+        }, this),
+        100);
+    },
+
+    updateSettings: function() {
+        this.model.set({
+            bufferSize: parseInt(this.$('select[name="bufferSize"]').val()),
+            sampleRate: parseInt(this.$('select[name="sampleRate"]').val()),
+            windowFunction: parseInt(this.$('select[name="window"]').val()),
+            gaussAlpha: parseFloat(this.$('input[name="gaussAlpha"]').val()),
+            windowCorrection: this.$('input[name="windowCorrection"]:checked').val()
+        });
+    }
+});
+
+TFFT.PlaybackView = Backbone.View.extend({
+    tagName: 'div',
+
+    className: 'analysis-control playback-control ui-widget',
+
+    events: {
+        'click .play': 'togglePlaying',
+        'change input[name="volume"]': 'updateVolume',
+        'change input[name="limiter"]': 'updateLimiter'
+    },
+
+    template: _.template($('#playback_view_template').html()),
+
+    initialize: function(options) {
+        this.model.on('change', this.render, this);
+        this.model.on('error', this.showError, this);
+    },
+
+    render: function() {
+        $(this.el).html(this.template({ playback: this.model }));
+        this.$('.volume-slider').slider({
+            value: this.model.get('volume'),
+            min: 0.0,
+            max: 1.0,
+            step: 0.01,
+            slide: this.handleSliderChange('volume')
         });
+        return this;
+    },
+
+    handleSliderChange: function(attribute) {
+        return _.debounce(_.bind(function(event, ui) {
+            this.model.set(attribute, ui.value);
+        }, this),
+        100);
+    },
+
+    showError: function(model, error) {
+        this.$('.error').text(error);
+    },
+
+    togglePlaying: function() {
+        this.model.set('playing', !this.model.get('playing'));
+    },
+
+    updateVolume: function() {
+        this.model.set('volume', parseFloat(this.$('input[name="volume"]').val()));
+    },
+
+    updateLimiter: function() {
+        this.model.set('limiter', this.$('input[name="limiter"]').is(':checked'));
+    }
+});
+
+/*
+ * A menu of the presets, which shows the caption of the one last loaded.  Triggers "load"
+ * with the scene of a preset when one is picked.
+ */
+TFFT.PresetView = Backbone.View.extend({
+    tagName: 'div',
+
+    className: 'analysis-control preset-control ui-widget',
+
+    events: {
+        'change select': 'loadPreset'
+    },
+
+    template: _.template($('#preset_view_template').html()),
+
+    initialize: function(options) {
+        this.collection.on('reset', this.render, this);
+        this.collection.on('error', this.showError, this);
+    },
+
+    render: function() {
+        $(this.el).html(this.template({
+            presets: this.collection,
+            selected: this.selected }));
+        return this;
+    },
+
+    showError: function() {
+        this.$('.error').text("Could not load the demonstrations");
+    },
+
+    loadPreset: function() {
+        this.selected = this.collection.getByCid(this.$('select').val());
+        this.render();
+        if (this.selected) {
+            this.trigger('load', this.selected.getScene());
+        }
     }
 });
 
 TFFT.ApplicationView = Backbone.View.extend({
 
     events: {
-        'click .add': 'createSignal'
+        'click .add': 'createSignal',
+        'click .add-microphone': 'createMicrophoneSignal',
+        'click .share-link': 'shareScene',
+        'click .export-wav': 'exportSignal',
+        'change .load-sample': 'loadSelectedSamples',
+        'dragover .signal-panel': 'allowDrop',
+        'drop .signal-panel': 'loadDroppedSamples'
     },
 
     initialize: function(options) {
         this.$('.tabs').tabs();
         this.signalCount = 0;
+        this.editor = new TFFT.SpectrumEditor({}, { signals: TFFT.Signals });
+
+        // charts fill the width of their tab unless given a width
+        var theme = TFFT.THEMES[options.theme || 'Dark'];
+
         this.transformView = new TFFT.SignalTransformGraphView({
-            width: options.width || 900,
+            width: options.width,
             height: options.height || 400,
-            collection: TFFT.Signals
+            theme: theme,
+            collection: TFFT.Signals,
+            settings: TFFT.Analysis,
+            editor: this.editor
         });
 
         this.inputView = new TFFT.SignalGraphView({
-            width: options.width || 900,
+            width: options.width,
+            height: options.height || 400,
+            theme: theme,
+            collection: TFFT.Signals,
+            editor: this.editor
+        });
+
+        this.phaseSettings = new TFFT.PhaseSettings();
+
+        this.phaseView = new TFFT.PhaseGraphView({
+            width: options.width && options.width - 300,
+            height: 300,
+            theme: theme,
+            collection: TFFT.Signals,
+            settings: TFFT.Analysis,
+            display: this.transformView.display,
+            zoom: this.transformView.zoom,
+            model: this.phaseSettings
+        });
+
+        this.complexPlaneView = new TFFT.ComplexPlaneView({
+            size: 300,
+            theme: theme,
+            collection: TFFT.Signals,
+            settings: TFFT.Analysis,
+            model: this.phaseSettings
+        });
+
+        this.compositionView = new TFFT.SignalCompositionView({
+            collection: TFFT.Signals,
+            traceWidth: 120
+        });
+
+        this.spectrogramView = new TFFT.SpectrogramView({
+            width: options.width,
             height: options.height || 400,
+            theme: theme,
             collection: TFFT.Signals
         });
 
-        this.$('#signalTransformTab').append(this.transformView.el);
+        this.transformView.on('add:signal', this.createSignalAt, this);
+
+        this.charts = [this.transformView, this.inputView, this.phaseView, this.complexPlaneView, this.spectrogramView];
+
+        // the spectrum and phase charts take the width the composition of the signal and
+        // the complex plane leave beside them
+        this.$('#signalTransformTab').append($('<div class="spectrum-panel"></div>')
+            .append(this.compositionView.el)
+            .append(this.transformView.el));
+        this.$('#signalTransformTab').append($('<div class="phase-panel"></div>')
+            .append(this.complexPlaneView.el)
+            .append(this.phaseView.el));
         this.$('#signalInputTab').append(this.inputView.el);
+        this.$('#spectrogramTab').append(this.spectrogramView.el);
+
+        this.analysisView = new TFFT.AnalysisView({
+            model: TFFT.Analysis
+        });
+        this.$('.analysis-panel').append(this.analysisView.render().el);
+
+        this.playback = new TFFT.Playback({}, { signals: TFFT.Signals });
+        this.playbackView = new TFFT.PlaybackView({
+            model: this.playback
+        });
+        this.$('.analysis-panel').append(this.playbackView.render().el);
+
+        this.presets = new TFFT.PresetCollection();
+        this.presetView = new TFFT.PresetView({
+            collection: this.presets
+        });
+        this.presetView.on('load', this.loadScene, this);
+        this.$('.analysis-panel').append(this.presetView.render().el);
+        this.presets.fetch();
+        this.signalViews = {};
         TFFT.Signals.on('add', this.addSignal, this);
+        TFFT.Signals.on('move', this.placeSignalView, this);
+        TFFT.Signals.on('remove', this.removeSignal, this);
+        TFFT.Signals.on('change', function(signal) {
+            if (signal.get('harmonics') || signal.hasChanged('harmonics')) {
+                this.updateSeries(signal);
+            }
+        }, this);
+        // the series stop below the Nyquist frequency, which moves with the sample rate
+        TFFT.Analysis.on('change:sampleRate', function() {
+            _.each(TFFT.Signals.filter(function(signal) { return signal.get('harmonics'); }), this.updateSeries, this);
+        }, this);
+
+        // a chart can only measure itself while it is shown, so the charts of a tab are
+        // fitted to it as it is shown, as well as whenever the window changes size, and
+        // first once the page has been laid out
+        this.$('.tabs').on('tabsshow', _.bind(this.resizeCharts, this));
+
+        // the spectrogram only scrolls while its tab is shown
+        this.$('.tabs').on('tabsshow', _.bind(this.spectrogramView.start, this.spectrogramView));
+        $(window).on('resize orientationchange', _.debounce(_.bind(this.resizeCharts, this), 100));
+        _.defer(_.bind(this.resizeCharts, this));
+
+        // the address always holds the scene, so that it can be shared or bookmarked as it is
+        var updateAddress = _.debounce(_.bind(this.updateAddress, this), 250);
+        TFFT.Signals.on('all', function(eventName) {
+            if (eventName !== 'capture') {
+                updateAddress();
+            }
+        });
+        TFFT.Analysis.on('change', updateAddress);
+        $(window).on('hashchange', _.bind(this.handleHashChange, this));
+    },
+
+    /*
+     * Starts with the scene in the address, if there is one, or else with the signals and
+     * settings kept from last time, or failing those with a single signal.
+     */
+    restoreScene: function() {
+        var scene = TFFT.decodeScene(window.location.hash);
+        if (scene) {
+            this.loadScene(scene);
+        } else {
+            // a first visit has no settings kept
+            TFFT.Analysis.fetch({ error: function() {} });
+            TFFT.Signals.fetch({ add: true });
+            this.signalCount = TFFT.Signals.reduce(function(count, signal) {
+                return Math.max(count, signal.id || 0);
+            }, this.signalCount);
+
+            if (!TFFT.Signals.length) {
+                this.createSignal();
+            }
+        }
+    },
+
+    /*
+     * Replaces the analysis settings and signals with those of a scene, in the store too.
+     * The signals kept may not all have been fetched, so the store is emptied outright.
+     *
+     * @param {Object} scene A scene returned by TFFT.decodeScene
+     */
+    loadScene: function(scene) {
+        // settings equal to those already set trigger no change, so they are saved here
+        TFFT.Analysis.set(_.extend(_.clone(TFFT.AnalysisSettings.prototype.defaults), scene.analysis));
+        TFFT.Analysis.save();
+
+        _.invoke(TFFT.Signals.toArray(), 'destroy');
+        if (TFFT.Signals.localStore) {
+            TFFT.Signals.localStore.write([]);
+        }
+        _.each(scene.signals, function(attributes) {
+            this.signalCount++;
+            this.updateSeries(TFFT.Signals.create(_.extend({ id: this.signalCount }, attributes)));
+        }, this);
+    },
+
+    updateAddress: function() {
+        this.scene = TFFT.encodeScene(TFFT.Analysis, TFFT.Signals);
+        if (window.history && window.history.replaceState) {
+            window.history.replaceState(null, '', '#' + this.scene);
+        } else {
+            window.location.replace('#' + this.scene);
+        }
+    },
+
+    /*
+     * Loads a scene that was put into the address by hand, or by following a link from
+     * another page of the application.
+     */
+    handleHashChange: function() {
+        var hash = window.location.hash.replace(/^#/, '');
+        var scene = TFFT.decodeScene(hash);
+        if (scene && hash !== this.scene) {
+            this.scene = hash;
+            this.loadScene(scene);
+        }
+    },
+
+    /*
+     * Shows the link to the scene, ready to be copied.
+     */
+    shareScene: function() {
+        this.updateAddress();
+        this.$('.share-url').val(window.location.href).show().select();
+    },
+
+    resizeCharts: function() {
+        _.invoke(this.charts, 'resize');
     },
 
     createSignal: function(event) {
@@ -555,10 +5365,151 @@ TFFT.ApplicationView = Backbone.View.extend({
         TFFT.Signals.create({ id: this.signalCount });
     },
 
+    /*
+     * Adds a signal at a frequency picked on the spectrum.
+     */
+    createSignalAt: function(frequency) {
+        this.signalCount++;
+        TFFT.Signals.create({ id: this.signalCount, frequency: frequency });
+    },
+
+    /*
+     * Adds a copy of a signal just after it.
+     */
+    duplicateSignal: function(signal) {
+        this.signalCount++;
+        this.updateSeries(TFFT.Signals.create(_.extend(signal.toJSON(), { id: this.signalCount }),
+            { at: TFFT.Signals.indexOf(signal) + 1 }));
+    },
+
+    /*
+     * Keeps the sines of a decomposed signal in step with it, as many as its `harmonics`
+     * and following its waveform, frequency, amplitude and phase.  The sines are removed
+     * once it is no longer decomposed, or no longer has a waveform that can be.
+     *
+     * @param {TFFT.SignalModel} signal The signal, or false if it could not be created
+     */
+    updateSeries: function(signal) {
+        if (!signal) {
+            return;
+        }
+        if (signal.get('harmonics') && !signal.isDecomposable()) {
+            signal.set('harmonics', 0);
+        }
+
+        var series = signal.getFourierSeries(signal.get('harmonics'));
+        var sines = this.getSeries(signal);
+        var index = TFFT.Signals.indexOf(signal);
+        _.each(series, function(attributes, i) {
+            if (sines[i]) {
+                sines[i].set(attributes);
+            } else {
+                this.signalCount++;
+                TFFT.Signals.create(_.extend({ id: this.signalCount, source: signal.id }, attributes),
+                    { at: index + i + 1 });
+            }
+        }, this);
+        _.invoke(sines.slice(series.length), 'destroy');
+    },
+
+    /*
+     * @returns {Array} The sines a signal is decomposed into
+     */
+    getSeries: function(signal) {
+        return TFFT.Signals.filter(function(other) { return other.get('source') === signal.id; });
+    },
+
+    /*
+     * Adds a signal for each audio file and starts decoding it.
+     *
+     * @param {FileList} files The audio files to load
+     */
+    createSampleSignals: function(files) {
+        _.each(files, function(file) {
+            this.signalCount++;
+            var signal = new TFFT.SampleSignalModel({ id: this.signalCount, name: file.name });
+            TFFT.Signals.add(signal);
+            signal.load(file);
+        }, this);
+    },
+
+    /*
+     * Adds a signal captured from the microphone, asking the user for access to it.
+     */
+    createMicrophoneSignal: function() {
+        this.signalCount++;
+        var signal = new TFFT.MicrophoneSignalModel({ id: this.signalCount });
+        TFFT.Signals.add(signal);
+        signal.start();
+    },
+
+    loadSelectedSamples: function(event) {
+        this.createSampleSignals(event.target.files);
+        $(event.target).val('');
+    },
+
+    /*
+     * Downloads one buffer of the summed signal as a WAVE file.  It is written as 32 bit
+     * float so that sums louder than full scale are kept rather than clipped.
+     */
+    exportSignal: function() {
+        var wav = TFFT.WAV.encode([TFFT.Signals.getTotalSignal()], TFFT.Analysis.get('sampleRate'), { 'float': true });
+        TFFT.download(new Blob([wav], { type: 'audio/wav' }), 'signal.wav');
+    },
+
+    allowDrop: function(event) {
+        event.preventDefault();
+    },
+
+    loadDroppedSamples: function(event) {
+        event.preventDefault();
+        this.createSampleSignals(event.originalEvent.dataTransfer.files);
+    },
+
     addSignal: function(signal) {
-        var signalView = new TFFT.SignalView({
+        // the sines of a decomposed signal are controlled through it
+        if (signal.get('source')) {
+            return;
+        }
+
+        var View = signal instanceof TFFT.SampleSignalModel ? TFFT.SampleSignalView :
+            signal instanceof TFFT.MicrophoneSignalModel ? TFFT.MicrophoneSignalView :
+            TFFT.SignalView;
+        var signalView = this.signalViews[signal.cid] = new View({
             model: signal
         });
-        this.$('.signal-panel >.new').before(signalView.render().el);
+        signalView.on('duplicate', this.duplicateSignal, this);
+        signalView.render();
+        this.placeSignalView(signal);
+    },
+
+    /*
+     * Takes the sines of a decomposed signal away with it.
+     */
+    removeSignal: function(signal) {
+        delete this.signalViews[signal.cid];
+        if (signal.get('harmonics')) {
+            _.invoke(this.getSeries(signal), 'destroy');
+        }
+    },
+
+    /*
+     * Puts the view of a signal in the same place in the list as the signal has in the
+     * collection, before the view of the next signal that has one.
+     */
+    placeSignalView: function(signal) {
+        var view = this.signalViews[signal.cid];
+        var models = TFFT.Signals.models;
+        if (!view) {
+            return;
+        }
+
+        for (var i = TFFT.Signals.indexOf(signal) + 1; i < models.length; i++) {
+            if (this.signalViews[models[i].cid]) {
+                $(this.signalViews[models[i].cid].el).before(view.el);
+                return;
+            }
+        }
+        this.$('.signal-panel > .new').before(view.el);
     }
 });
\ No newline at end of file
@@ -0,0 +1,262 @@
+
+/*
+ * Primary namespace
+ */
+ var TFFT = window.TFFT = TFFT || {};
+
+/*
+ * A reader and writer for RIFF/WAVE files, so that clips can be analysed and signals exported
+ * without relying on the codecs of the browser.
+ *
+ * Supported encodings are 8, 16, 24 and 32 bit integer PCM and 32 bit IEEE float, in any number
+ * of channels (in practice mono or stereo) and at any sample rate.  Samples are always presented
+ * as floats in the range [-1, 1].
+ */
+ TFFT.WAV = {
+    PCM: 1,
+    IEEE_FLOAT: 3,
+    EXTENSIBLE: 0xFFFE
+};
+
+/*
+ * Tests whether a buffer holds a RIFF/WAVE file.
+ *
+ * @param {ArrayBuffer} arrayBuffer The file contents
+ *
+ * @returns {Boolean} True if the buffer starts with a RIFF/WAVE header
+ */
+TFFT.WAV.isWAV = function(arrayBuffer) {
+    if (arrayBuffer.byteLength < 12) {
+        return false;
+    }
+    var view = new DataView(arrayBuffer);
+    return TFFT.WAV.readTag(view, 0) === 'RIFF' && TFFT.WAV.readTag(view, 8) === 'WAVE';
+};
+
+TFFT.WAV.readTag = function(view, offset) {
+    return String.fromCharCode(
+        view.getUint8(offset),
+        view.getUint8(offset + 1),
+        view.getUint8(offset + 2),
+        view.getUint8(offset + 3));
+};
+
+TFFT.WAV.writeTag = function(view, offset, tag) {
+    for (var i = 0; i < 4; i++) {
+        view.setUint8(offset + i, tag.charCodeAt(i));
+    }
+};
+
+/*
+ * Decodes a RIFF/WAVE file.
+ *
+ * The result has the same shape as a Web Audio AudioBuffer (sampleRate, length, duration,
+ * numberOfChannels and getChannelData), so either may be used as the source of a
+ * TFFT.SampleSignalModel.  It also carries the channels interleaved, the form expected by
+ * DSP.deinterleave and DSP.getChannel.
+ *
+ * @param {ArrayBuffer} arrayBuffer The file contents
+ *
+ * @returns {Object} The decoded audio
+ */
+TFFT.WAV.decode = function(arrayBuffer) {
+    if (!TFFT.WAV.isWAV(arrayBuffer)) {
+        throw new Error("Not a RIFF/WAVE file");
+    }
+
+    var view = new DataView(arrayBuffer);
+    var offset = 12, format = null, data = null;
+    var chunkId, chunkSize;
+
+    // walk the chunks; anything other than the format and the samples is skipped
+    while (offset + 8 <= view.byteLength) {
+        chunkId = TFFT.WAV.readTag(view, offset);
+        chunkSize = view.getUint32(offset + 4, true);
+        offset += 8;
+
+        if (chunkId === 'fmt ') {
+            format = {
+                audioFormat: view.getUint16(offset, true),
+                numberOfChannels: view.getUint16(offset + 2, true),
+                sampleRate: view.getUint32(offset + 4, true),
+                blockAlign: view.getUint16(offset + 12, true),
+                bitsPerSample: view.getUint16(offset + 14, true)
+            };
+            // the extensible format keeps the real format in the first two bytes of its sub-format GUID
+            if (format.audioFormat === TFFT.WAV.EXTENSIBLE && chunkSize >= 26) {
+                format.audioFormat = view.getUint16(offset + 24, true);
+            }
+        } else if (chunkId === 'data') {
+            // a truncated file still yields the samples that are present
+            data = { offset: offset, size: Math.min(chunkSize, view.byteLength - offset) };
+        }
+
+        // chunks are padded to an even number of bytes
+        offset += chunkSize + (chunkSize % 2);
+    }
+
+    if (!format) {
+        throw new Error("WAVE file has no format chunk");
+    }
+    if (!data) {
+        throw new Error("WAVE file has no data chunk");
+    }
+
+    var readSample = TFFT.WAV.getSampleReader(format.audioFormat, format.bitsPerSample);
+    var bytesPerSample = format.bitsPerSample / 8;
+    var numberOfChannels = format.numberOfChannels;
+    var length = Math.floor(data.size / format.blockAlign);
+    var channels = _.map(_.range(numberOfChannels), function() { return new Float32Array(length); });
+    var interleaved = new Float32Array(length * numberOfChannels);
+
+    for (var i = 0; i < length; i++) {
+        for (var channel = 0; channel < numberOfChannels; channel++) {
+            offset = data.offset + i * format.blockAlign + channel * bytesPerSample;
+            interleaved[i * numberOfChannels + channel] = channels[channel][i] = readSample(view, offset);
+        }
+    }
+
+    return {
+        sampleRate: format.sampleRate,
+        bitsPerSample: format.bitsPerSample,
+        audioFormat: format.audioFormat,
+        numberOfChannels: numberOfChannels,
+        length: length,
+        duration: length / format.sampleRate,
+        channels: channels,
+        interleaved: interleaved,
+        getChannelData: function(channel) { return channels[channel]; }
+    };
+};
+
+/*
+ * Returns a function that reads one sample of the given encoding and scales it to [-1, 1].
+ *
+ * @param {Integer} audioFormat TFFT.WAV.PCM or TFFT.WAV.IEEE_FLOAT
+ * @param {Integer} bitsPerSample Bits per sample
+ *
+ * @returns {Function} A function of a DataView and a byte offset
+ */
+TFFT.WAV.getSampleReader = function(audioFormat, bitsPerSample) {
+    if (audioFormat === TFFT.WAV.IEEE_FLOAT) {
+        if (bitsPerSample === 32) {
+            return function(view, offset) { return view.getFloat32(offset, true); };
+        }
+        if (bitsPerSample === 64) {
+            return function(view, offset) { return view.getFloat64(offset, true); };
+        }
+    } else if (audioFormat === TFFT.WAV.PCM) {
+        switch (bitsPerSample) {
+            case 8:
+                // 8 bit samples are unsigned, centred on 128
+                return function(view, offset) { return (view.getUint8(offset) - 128) / 128; };
+            case 16:
+                return function(view, offset) { return view.getInt16(offset, true) / 32768; };
+            case 24:
+                return function(view, offset) {
+                    var value = view.getUint8(offset) |
+                        (view.getUint8(offset + 1) << 8) |
+                        (view.getInt8(offset + 2) << 16);
+                    return value / 8388608;
+                };
+            case 32:
+                return function(view, offset) { return view.getInt32(offset, true) / 2147483648; };
+        }
+    }
+
+    throw new Error("Unsupported WAVE encoding: format " + audioFormat + ", " + bitsPerSample + " bits per sample");
+};
+
+/*
+ * Encodes channels of samples as a RIFF/WAVE file.
+ *
+ * Integer encodings clip samples to [-1, 1]; float encoding stores them as they are.
+ *
+ * @param {Array} channels Float32Arrays of equal length, one per channel
+ * @param {Integer} sampleRate The sample rate of the channels
+ * @param {Object} options bitsPerSample (8, 16, 24 or 32; default 16) and float (default false)
+ *
+ * @returns {ArrayBuffer} The file contents
+ */
+TFFT.WAV.encode = function(channels, sampleRate, options) {
+    options = _.extend({ bitsPerSample: 16, 'float': false }, options);
+
+    var audioFormat = options['float'] ? TFFT.WAV.IEEE_FLOAT : TFFT.WAV.PCM;
+    var bitsPerSample = options['float'] ? 32 : options.bitsPerSample;
+    var writeSample = TFFT.WAV.getSampleWriter(audioFormat, bitsPerSample);
+    var numberOfChannels = channels.length;
+    var length = numberOfChannels ? channels[0].length : 0;
+    var bytesPerSample = bitsPerSample / 8;
+    var blockAlign = numberOfChannels * bytesPerSample;
+    var dataSize = length * blockAlign;
+    var padding = dataSize % 2;
+
+    var arrayBuffer = new ArrayBuffer(44 + dataSize + padding);
+    var view = new DataView(arrayBuffer);
+
+    TFFT.WAV.writeTag(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize + padding, true);
+    TFFT.WAV.writeTag(view, 8, 'WAVE');
+
+    TFFT.WAV.writeTag(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, audioFormat, true);
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitsPerSample, true);
+
+    TFFT.WAV.writeTag(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    var offset = 44;
+    for (var i = 0; i < length; i++) {
+        for (var channel = 0; channel < numberOfChannels; channel++) {
+            writeSample(view, offset, channels[channel][i]);
+            offset += bytesPerSample;
+        }
+    }
+
+    return arrayBuffer;
+};
+
+/*
+ * Returns a function that writes one sample in [-1, 1] with the given encoding.
+ *
+ * @param {Integer} audioFormat TFFT.WAV.PCM or TFFT.WAV.IEEE_FLOAT
+ * @param {Integer} bitsPerSample Bits per sample
+ *
+ * @returns {Function} A function of a DataView, a byte offset and a sample
+ */
+TFFT.WAV.getSampleWriter = function(audioFormat, bitsPerSample) {
+    var clip = function(sample) { return Math.max(-1.0, Math.min(1.0, sample)); };
+
+    if (audioFormat === TFFT.WAV.IEEE_FLOAT && bitsPerSample === 32) {
+        return function(view, offset, sample) { view.setFloat32(offset, sample, true); };
+    } else if (audioFormat === TFFT.WAV.PCM) {
+        switch (bitsPerSample) {
+            case 8:
+                return function(view, offset, sample) {
+                    view.setUint8(offset, Math.min(255, Math.round(clip(sample) * 128 + 128)));
+                };
+            case 16:
+                return function(view, offset, sample) {
+                    view.setInt16(offset, Math.min(32767, Math.round(clip(sample) * 32768)), true);
+                };
+            case 24:
+                return function(view, offset, sample) {
+                    var value = Math.min(8388607, Math.round(clip(sample) * 8388608));
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setInt8(offset + 2, value >> 16);
+                };
+            case 32:
+                return function(view, offset, sample) {
+                    view.setInt32(offset, Math.min(2147483647, Math.round(clip(sample) * 2147483648)), true);
+                };
+        }
+    }
+
+    throw new Error("Unsupported WAVE encoding: format " + audioFormat + ", " + bitsPerSample + " bits per sample");
+};
@@ -0,0 +1,307 @@
+/*
+ * Tests of TFFT.MicrophoneSignalModel against a fake microphone.
+ *
+ * The application scripts are run in a bare context that stands in for the browser:
+ * getUserMedia hands over a fake MediaStream, the audio context's script processor is
+ * driven by calling its onaudioprocess directly, and animation frames are run on demand.
+ * Nothing but Node is needed:
+ *
+ *     node test/microphone.js
+ */
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var _ = require('../js/underscore.js');
+
+/*
+ * Runs the scripts of the page in a fresh context and returns it.  No template is needed
+ * by the models, so jQuery is stood in for by an empty element.
+ */
+var loadApplication = function() {
+    var storage = {};
+    var $ = function() { return { html: function() { return ''; } }; };
+    var context = {
+        console: console,
+        Float32Array: Float32Array,
+        Uint8Array: Uint8Array,
+        Int16Array: Int16Array,
+        Math: Math,
+        document: {},
+        navigator: {},
+        localStorage: {
+            getItem: function(key) { return _.has(storage, key) ? storage[key] : null; },
+            setItem: function(key, value) { storage[key] = String(value); },
+            removeItem: function(key) { delete storage[key]; }
+        },
+        $: $,
+        jQuery: $
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    _.each(['underscore.js', 'backbone.js', 'dsp.js', 'wav.js', 'script.js'], function(file) {
+        var name = path.join(__dirname, '..', 'js', file);
+        vm.runInContext(fs.readFileSync(name, 'utf8'), context, { filename: name });
+    });
+    return context;
+};
+
+/*
+ * A fake microphone: a MediaStream whose tracks count how often they are stopped, and an
+ * audio context whose script processor can be fed buffers of samples.
+ */
+var FakeMicrophone = function(window, sampleRate) {
+    var microphone = this;
+    this.sampleRate = sampleRate;
+    this.tracks = [{ stopped: 0, stop: function() { this.stopped++; } }];
+    this.stream = { getTracks: function() { return microphone.tracks; } };
+    this.processors = [];
+    this.frames = [];
+    this.time = 0;
+
+    var node = function() {
+        return {
+            connected: [],
+            connect: function(destination) { this.connected.push(destination); },
+            disconnect: function() { this.connected = []; }
+        };
+    };
+
+    window.AudioContext = function() {
+        this.sampleRate = sampleRate;
+        this.destination = node();
+    };
+    window.AudioContext.prototype.createMediaStreamSource = function(stream) {
+        var source = node();
+        source.stream = stream;
+        return source;
+    };
+    window.AudioContext.prototype.createScriptProcessor = function(bufferSize) {
+        var processor = node();
+        processor.bufferSize = bufferSize;
+        microphone.processors.push(processor);
+        return processor;
+    };
+    window.navigator.mediaDevices = {
+        getUserMedia: function(constraints) {
+            microphone.constraints = constraints;
+            return { then: function(success) { success(microphone.stream); } };
+        }
+    };
+    window.requestAnimationFrame = function(callback) {
+        microphone.frames.push(callback);
+    };
+};
+
+/*
+ * Delivers buffers of a sine to the last script processor created, as the audio thread
+ * would, and returns the samples delivered.
+ */
+FakeMicrophone.prototype.speak = function(buffers, frequency, amplitude) {
+    var processor = this.processors[this.processors.length - 1];
+    var sampleRate = this.sampleRate;
+    var spoken = [];
+    for (var b = 0; b < buffers; b++) {
+        var input = new Float32Array(processor.bufferSize);
+        var output = new Float32Array(processor.bufferSize);
+        for (var i = 0; i < input.length; i++, this.time++) {
+            input[i] = amplitude * Math.sin(2 * Math.PI * frequency * this.time / sampleRate);
+            output[i] = 1.0;
+            spoken.push(input[i]);
+        }
+        processor.onaudioprocess({
+            inputBuffer: { getChannelData: function() { return input; } },
+            outputBuffer: { getChannelData: function() { return output; } }
+        });
+        this.output = output;
+    }
+    return spoken;
+};
+
+/*
+ * Runs the callbacks waiting for the next animation frame.
+ */
+FakeMicrophone.prototype.frame = function() {
+    var frames = this.frames;
+    this.frames = [];
+    for (var i = 0; i < frames.length; i++) {
+        frames[i]();
+    }
+};
+
+var tests = {
+    'opening the microphone starts capturing from its stream': function(window, microphone) {
+        var TFFT = window.TFFT;
+        var signal = new TFFT.MicrophoneSignalModel();
+        signal.start();
+
+        assert.deepEqual(microphone.constraints, { audio: true });
+        assert.ok(signal.get('active'));
+        assert.strictEqual(signal.stream, microphone.stream);
+        assert.strictEqual(signal.sampleRate, 44100);
+        assert.strictEqual(signal.source.stream, microphone.stream);
+        assert.strictEqual(signal.processor.bufferSize, TFFT.MicrophoneSignalModel.BUFFER_SIZE);
+        assert.deepEqual(signal.source.connected, [signal.processor]);
+        assert.strictEqual(signal.processor.connected.length, 1);
+    },
+
+    'a refused microphone is reported': function(window, microphone) {
+        var signal = new window.TFFT.MicrophoneSignalModel();
+        var errors = [];
+        window.navigator.mediaDevices.getUserMedia = function() {
+            return { then: function(success, failure) { failure(new Error('denied')); } };
+        };
+        signal.on('error', function(model, message) { errors.push(message); });
+        signal.start();
+
+        assert.deepEqual(errors, ["Could not open the microphone"]);
+        assert.ok(!signal.get('active'));
+    },
+
+    'captured audio fills buffers of the analysis buffer size': function(window, microphone) {
+        var TFFT = window.TFFT;
+        var signal = new TFFT.MicrophoneSignalModel();
+        signal.setStream(microphone.stream);
+
+        var spoken = microphone.speak(3, 1000, 0.5);
+        var buffer = signal.getSignal(TFFT.Analysis);
+
+        assert.strictEqual(TFFT.Analysis.get('bufferSize'), TFFT.BUFFER_SIZE);
+        assert.strictEqual(buffer.length, TFFT.BUFFER_SIZE);
+        assert.strictEqual(signal.captured, spoken.length);
+        for (var i = 0; i < buffer.length; i++) {
+            assert.ok(Math.abs(buffer[i] - spoken[spoken.length - TFFT.BUFFER_SIZE + i]) < 1e-6, "sample " + i);
+        }
+        // the processor is connected to the speakers, so it must pass on silence
+        assert.ok(_.all(microphone.output, function(sample) { return sample === 0.0; }));
+    },
+
+    'a buffer not yet captured in full is padded with silence': function(window, microphone) {
+        var TFFT = window.TFFT;
+        var signal = new TFFT.MicrophoneSignalModel();
+        signal.setStream(microphone.stream);
+        microphone.speak(1, 1000, 0.5);
+
+        var buffer = signal.getSignal(TFFT.Analysis.clone().set('bufferSize', 4096));
+        assert.strictEqual(buffer.length, 4096);
+        assert.ok(_.all(_.first(buffer, 2048), function(sample) { return sample === 0.0; }));
+        assert.ok(_.any(_.rest(buffer, 2048), function(sample) { return sample !== 0.0; }));
+    },
+
+    'new audio is announced once per animation frame': function(window, microphone) {
+        var signal = new window.TFFT.MicrophoneSignalModel();
+        var captures = 0;
+        signal.on('capture', function() { captures++; });
+        signal.setStream(microphone.stream);
+
+        microphone.speak(3, 1000, 0.5);
+        microphone.frame();
+        assert.strictEqual(captures, 1);
+
+        microphone.frame();
+        assert.strictEqual(captures, 1);
+
+        microphone.speak(1, 1000, 0.5);
+        microphone.frame();
+        assert.strictEqual(captures, 2);
+    },
+
+    'freezing holds the captured audio until it is released': function(window, microphone) {
+        var TFFT = window.TFFT;
+        var signal = new TFFT.MicrophoneSignalModel();
+        var captures = 0;
+        signal.on('capture', function() { captures++; });
+        signal.setStream(microphone.stream);
+        microphone.speak(2, 1000, 0.5);
+        microphone.frame();
+
+        var held = signal.getSignal(TFFT.Analysis);
+        var captured = signal.captured;
+        signal.set('frozen', true);
+        microphone.speak(2, 3000, 0.25);
+        microphone.frame();
+
+        assert.strictEqual(signal.captured, captured);
+        assert.deepEqual(signal.getSignal(TFFT.Analysis), held);
+        assert.strictEqual(captures, 1);
+
+        signal.set('frozen', false);
+        var spoken = microphone.speak(1, 3000, 0.25);
+        microphone.frame();
+        assert.strictEqual(signal.captured, captured + spoken.length);
+        assert.strictEqual(captures, 2);
+    },
+
+    'stopping releases the microphone and keeps what was captured': function(window, microphone) {
+        var TFFT = window.TFFT;
+        var signal = new TFFT.MicrophoneSignalModel();
+        signal.setStream(microphone.stream);
+        var processor = signal.processor;
+        microphone.speak(1, 1000, 0.5);
+        var kept = signal.getSignal(TFFT.Analysis);
+
+        signal.stop();
+
+        assert.ok(!signal.get('active'));
+        assert.strictEqual(microphone.tracks[0].stopped, 1);
+        assert.strictEqual(processor.onaudioprocess, null);
+        assert.deepEqual(processor.connected, []);
+        assert.strictEqual(signal.stream, null);
+        assert.deepEqual(signal.getSignal(TFFT.Analysis), kept);
+
+        // the animation loop ends with the capture
+        microphone.frame();
+        assert.deepEqual(microphone.frames, []);
+    },
+
+    'removing the signal stops the microphone': function(window, microphone) {
+        var TFFT = window.TFFT;
+        var signals = new TFFT.SignalCollection([], { settings: TFFT.Analysis });
+        var signal = new TFFT.MicrophoneSignalModel();
+        signals.add(signal);
+        signal.setStream(microphone.stream);
+
+        signals.remove(signal);
+
+        assert.ok(!signal.get('active'));
+        assert.strictEqual(microphone.tracks[0].stopped, 1);
+    },
+
+    'captured audio is mixed with the other signals': function(window, microphone) {
+        var TFFT = window.TFFT;
+        var signals = new TFFT.SignalCollection([], { settings: TFFT.Analysis });
+        var tone = new TFFT.SignalModel({ id: 1, frequency: 1000, amplitude: 0.5 });
+        var signal = new TFFT.MicrophoneSignalModel({ id: 2, amplitude: 0.5 });
+        signals.add([tone, signal]);
+        signal.setStream(microphone.stream);
+        var spoken = microphone.speak(2, 3000, 0.8);
+
+        var total = signals.getTotalSignal();
+        var generated = tone.getSignal(TFFT.Analysis);
+        assert.strictEqual(total.length, TFFT.BUFFER_SIZE);
+        for (var i = 0; i < total.length; i++) {
+            var expected = generated[i] + 0.5 * spoken[spoken.length - TFFT.BUFFER_SIZE + i];
+            assert.ok(Math.abs(total[i] - expected) < 1e-6, "sample " + i);
+        }
+
+        signal.set('muted', true);
+        assert.deepEqual(signals.getTotalSignal(), generated);
+    }
+};
+
+var failures = 0;
+_.each(tests, function(test, name) {
+    var window = loadApplication();
+    var microphone = new FakeMicrophone(window, 44100);
+    try {
+        test(window, microphone);
+        console.log("ok - " + name);
+    } catch (error) {
+        failures++;
+        console.log("not ok - " + name + "\n    " + (error.stack || error).toString().split("\n").join("\n    "));
+    }
+});
+
+console.log(failures ? failures + " failed" : "all passed");
+process.exit(failures ? 1 : 0);